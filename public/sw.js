@@ -0,0 +1,90 @@
+// Service worker that caches the FFmpeg core (~30MB) so it is only downloaded once.
+// Core files are served cache-first; everything else goes straight to the network.
+//
+// It also makes the page cross-origin isolated on hosts that can't send the COOP/COEP headers
+// themselves (like GitHub Pages) by adding them to same-origin responses, in the same way as
+// coi-serviceworker. Isolation unlocks SharedArrayBuffer for the multi-threaded core.
+// The headers are only added when the worker is registered with ?coi=true (VITE_CROSS_ORIGIN_ISOLATION=true).
+
+const CACHE_PREFIX = 'media-slicer-ffmpeg-core-'
+const CACHE_NAME = `${CACHE_PREFIX}v1`
+
+// Matches both the hashed bundled assets (ffmpeg-core-XXXX.js) and CDN/mirror files
+const CORE_FILE_PATTERN = /\/ffmpeg-core[^/]*\.(js|wasm)$/
+
+const ISOLATE = new URL(self.location.href).searchParams.get('coi') === 'true'
+
+self.addEventListener('install', () => {
+  self.skipWaiting()
+})
+
+self.addEventListener('activate', (event) => {
+  // Drop caches left behind by older versions of this worker
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+/**
+ * Serves a core file from the cache, downloading and caching it on first use
+ * @param {Request} request - Request for a core file
+ * @returns {Promise<Response>}
+ */
+async function fetchCoreFile(request) {
+  const cache = await caches.open(CACHE_NAME)
+  const cached = await cache.match(request)
+  if (cached) {
+    return cached
+  }
+
+  const response = await fetch(request)
+  // Only cache complete, successful responses (opaque responses can't be checked)
+  if (response.ok) {
+    cache.put(request, response.clone())
+  }
+  return response
+}
+
+/**
+ * Copies a response with the headers that make a page cross-origin isolated
+ * @param {Response} response - Same-origin response
+ * @returns {Response}
+ */
+function withIsolationHeaders(response) {
+  // Opaque and error responses can't be rebuilt
+  if (response.status === 0) {
+    return response
+  }
+
+  const headers = new Headers(response.headers)
+  headers.set('Cross-Origin-Opener-Policy', 'same-origin')
+  headers.set('Cross-Origin-Embedder-Policy', 'require-corp')
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  })
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  // Fetching these again from the worker throws, so let the browser handle them
+  if (request.cache === 'only-if-cached' && request.mode !== 'same-origin') return
+
+  const url = new URL(request.url)
+  const isCoreFile = CORE_FILE_PATTERN.test(url.pathname)
+  const isolate = ISOLATE && url.origin === self.location.origin
+  if (!isCoreFile && !isolate) return
+
+  event.respondWith(
+    (isCoreFile ? fetchCoreFile(request) : fetch(request))
+      .then((response) => (isolate ? withIsolationHeaders(response) : response))
+  )
+})
@@ -0,0 +1,56 @@
+import React from 'react'
+import { Button } from './ui/button'
+import { AUDIO_LAYOUTS } from '../utils/outputFormats'
+import { LOUDNORM_TARGET } from '../utils/loudness'
+
+function AudioOptionsPanel({ settings, onSettingsChange, hasVideo, disabled }) {
+  const update = (key, value) => onSettingsChange({ ...settings, [key]: value })
+
+  return (
+    <div className="space-y-2">
+      <span className="text-sm font-medium">Audio</span>
+      {hasVideo && (
+        <label className="flex items-center gap-2 text-sm cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.audioOnly}
+            onChange={(e) => update('audioOnly', e.target.checked)}
+            disabled={disabled}
+          />
+          Audio only (drop the video stream)
+        </label>
+      )}
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+        {Object.entries(AUDIO_LAYOUTS).map(([layout, { label }]) => (
+          <Button
+            key={layout}
+            type="button"
+            variant={settings.layout === layout ? 'default' : 'outline'}
+            onClick={() => update('layout', layout)}
+            disabled={disabled}
+            className="h-auto whitespace-normal py-2"
+          >
+            {label}
+          </Button>
+        ))}
+      </div>
+      <label className="flex items-center gap-2 text-sm cursor-pointer">
+        <input
+          type="checkbox"
+          checked={settings.normalize}
+          onChange={(e) => update('normalize', e.target.checked)}
+          disabled={disabled}
+        />
+        Normalize loudness per segment (EBU R128, {LOUDNORM_TARGET.integrated} LUFS)
+      </label>
+      {(settings.layout !== 'source' || settings.normalize) && (
+        <p className="text-xs text-muted-foreground">
+          Resampling and normalizing re-encode the audio.
+          {settings.normalize && ' Each segment is measured, then normalized in a second pass; the measured values are saved as loudness.csv in the ZIP.'}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default AudioOptionsPanel
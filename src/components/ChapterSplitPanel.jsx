@@ -0,0 +1,80 @@
+import React from 'react'
+import { Loader2, ListOrdered } from 'lucide-react'
+import { Button } from './ui/button'
+import { formatTimestamp } from '../utils/timeUtils'
+
+function ChapterSplitPanel({ chapters, onToggleChapter, onToggleAll, onRead, isReading, disabled }) {
+  const selectedCount = chapters ? chapters.filter((chapter) => chapter.selected).length : 0
+
+  return (
+    <div className="space-y-3">
+      <Button
+        type="button"
+        variant="outline"
+        onClick={onRead}
+        disabled={disabled || isReading}
+        className="w-full"
+      >
+        {isReading ? (
+          <>
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            Reading chapters...
+          </>
+        ) : (
+          <>
+            <ListOrdered className="mr-2 h-4 w-4" />
+            Read Chapters
+          </>
+        )}
+      </Button>
+
+      {chapters && chapters.length === 0 && (
+        <p className="text-sm text-muted-foreground">
+          This file has no chapter markers.
+        </p>
+      )}
+
+      {chapters && chapters.length > 0 && (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between text-sm">
+            <span>{selectedCount} of {chapters.length} chapters selected</span>
+            <Button
+              type="button"
+              variant="link"
+              size="sm"
+              onClick={() => onToggleAll(selectedCount < chapters.length)}
+              disabled={disabled}
+              className="h-auto p-0"
+            >
+              {selectedCount < chapters.length ? 'Select all' : 'Select none'}
+            </Button>
+          </div>
+          <ul className="max-h-48 overflow-auto rounded-lg border divide-y text-xs">
+            {chapters.map((chapter, index) => (
+              <li key={`${chapter.start}-${index}`}>
+                <label className="flex items-center gap-3 px-3 py-1.5 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={chapter.selected}
+                    onChange={() => onToggleChapter(index)}
+                    disabled={disabled}
+                  />
+                  <span className="font-mono">{formatTimestamp(chapter.start)}</span>
+                  <span className="flex-1 break-all">{chapter.title || `Chapter ${index + 1}`}</span>
+                  <span className="font-mono text-muted-foreground">
+                    {(chapter.end - chapter.start).toFixed(1)}s
+                  </span>
+                </label>
+              </li>
+            ))}
+          </ul>
+          <p className="text-xs text-muted-foreground">
+            Each chapter is exported as its own file, named after the chapter title.
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ChapterSplitPanel
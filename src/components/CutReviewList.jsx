@@ -0,0 +1,32 @@
+import React from 'react'
+import { formatTimestamp } from '../utils/timeUtils'
+
+function CutReviewList({ cuts, onToggleCut, describeCut, disabled }) {
+  const acceptedCount = cuts.filter((cut) => cut.accepted).length
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm">
+        Review the proposed cuts: {acceptedCount} of {cuts.length} selected, giving {acceptedCount + 1} segments.
+      </p>
+      <ul className="max-h-48 overflow-auto rounded-lg border divide-y text-xs">
+        {cuts.map((cut, index) => (
+          <li key={cut.time}>
+            <label className="flex items-center gap-3 px-3 py-1.5 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={cut.accepted}
+                onChange={() => onToggleCut(index)}
+                disabled={disabled}
+              />
+              <span className="font-mono">{formatTimestamp(cut.time)}</span>
+              <span className="text-muted-foreground">{describeCut(cut)}</span>
+            </label>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default CutReviewList
@@ -0,0 +1,85 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { Copy, Check, Trash2 } from 'lucide-react'
+import { Button } from './ui/button'
+
+// New lines arrive in bursts while FFmpeg runs, so the open panel refreshes at most this often
+const REFRESH_INTERVAL_MS = 250
+
+function FFmpegLogPanel({ getLog, subscribe, onClear }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [lines, setLines] = useState([])
+  const [copied, setCopied] = useState(false)
+  const logRef = useRef(null)
+
+  // Only follow the log while the panel is open
+  useEffect(() => {
+    if (!isOpen) return
+    setLines(getLog())
+    let timer = null
+    const unsubscribe = subscribe('log', () => {
+      if (timer) return
+      timer = setTimeout(() => {
+        timer = null
+        setLines(getLog())
+      }, REFRESH_INTERVAL_MS)
+    })
+    return () => {
+      unsubscribe()
+      clearTimeout(timer)
+    }
+  }, [isOpen, getLog, subscribe])
+
+  // Keep the newest lines in view
+  useEffect(() => {
+    if (logRef.current) logRef.current.scrollTop = logRef.current.scrollHeight
+  }, [lines])
+
+  useEffect(() => {
+    if (!copied) return
+    const timer = setTimeout(() => setCopied(false), 2000)
+    return () => clearTimeout(timer)
+  }, [copied])
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(getLog().join('\n'))
+      setCopied(true)
+    } catch (err) {
+      console.warn('Could not copy the FFmpeg log:', err)
+    }
+  }
+
+  const handleClear = () => {
+    onClear()
+    setLines([])
+  }
+
+  return (
+    <details className="text-sm" onToggle={(e) => setIsOpen(e.currentTarget.open)}>
+      <summary className="cursor-pointer text-muted-foreground">FFmpeg log</summary>
+      <div className="mt-2 space-y-2">
+        <div className="flex gap-2">
+          <Button type="button" variant="outline" size="sm" onClick={handleCopy} disabled={lines.length === 0}>
+            {copied ? <Check className="mr-2 h-4 w-4" /> : <Copy className="mr-2 h-4 w-4" />}
+            {copied ? 'Copied' : 'Copy to clipboard'}
+          </Button>
+          <Button type="button" variant="ghost" size="sm" onClick={handleClear} disabled={lines.length === 0}>
+            <Trash2 className="mr-2 h-4 w-4" />
+            Clear
+          </Button>
+        </div>
+        <pre
+          ref={logRef}
+          className="max-h-64 overflow-auto rounded-lg border bg-muted/50 p-3 text-xs font-mono whitespace-pre-wrap break-all"
+        >
+          {lines.length > 0 ? lines.join('\n') : 'Nothing logged yet.'}
+        </pre>
+        <p className="text-xs text-muted-foreground">
+          Include this log when reporting a problem. It can contain file names and metadata, but never the media itself.
+        </p>
+      </div>
+    </details>
+  )
+}
+
+export default FFmpegLogPanel
@@ -0,0 +1,112 @@
+import React from 'react'
+import { RotateCw, X } from 'lucide-react'
+import { Button } from './ui/button'
+import { Progress } from './ui/progress'
+import { BATCH_OUTPUTS } from '../utils/zipExport'
+import { cn } from '../lib/utils'
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  processing: 'Processing',
+  done: 'Done',
+  error: 'Failed',
+  cancelled: 'Cancelled',
+}
+
+function JobQueue({
+  jobs,
+  activeFile,
+  onSelect,
+  onRemove,
+  onRetry,
+  batchOutput,
+  onBatchOutputChange,
+  disabled,
+}) {
+  if (jobs.length < 2 && !jobs.some((job) => job.status === 'error' || job.status === 'cancelled')) return null
+
+  return (
+    <div className="space-y-2">
+      <span className="text-sm font-medium">Queue ({jobs.length} {jobs.length === 1 ? 'file' : 'files'})</span>
+      <ul className="max-h-64 overflow-auto rounded-lg border divide-y text-sm">
+        {jobs.map((job) => (
+          <li
+            key={job.id}
+            className={cn('px-3 py-2 space-y-1', job.file === activeFile && 'bg-primary/5')}
+          >
+            <div className="flex items-center gap-2">
+              <button
+                type="button"
+                onClick={() => onSelect(job)}
+                disabled={disabled}
+                title="Show this file's details and split settings"
+                className="flex-1 min-w-0 text-left truncate hover:underline disabled:no-underline"
+              >
+                {job.file.name}
+              </button>
+              <span
+                className={cn(
+                  'text-xs',
+                  job.status === 'error' ? 'text-destructive' : 'text-muted-foreground'
+                )}
+              >
+                {job.status === 'done' && job.segmentCount !== null
+                  ? `${job.segmentCount} segments`
+                  : STATUS_LABELS[job.status]}
+              </span>
+              {(job.status === 'error' || job.status === 'cancelled') && (
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onRetry(job)}
+                  disabled={disabled}
+                  title="Retry"
+                  className="h-7 w-7 p-0"
+                >
+                  <RotateCw className="h-4 w-4" />
+                </Button>
+              )}
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                onClick={() => onRemove(job)}
+                disabled={disabled}
+                title="Remove from queue"
+                className="h-7 w-7 p-0"
+              >
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+            {job.status === 'processing' && <Progress value={job.progress} className="h-1.5" />}
+            {job.error && <p className="text-xs text-destructive break-words">{job.error}</p>}
+          </li>
+        ))}
+      </ul>
+
+      {jobs.length > 1 && batchOutput && (
+        <div className="grid grid-cols-2 gap-2">
+          {Object.entries(BATCH_OUTPUTS).map(([output, { label }]) => (
+            <Button
+              key={output}
+              type="button"
+              variant={batchOutput === output ? 'default' : 'outline'}
+              onClick={() => onBatchOutputChange(output)}
+              disabled={disabled}
+              size="sm"
+            >
+              {label}
+            </Button>
+          ))}
+        </div>
+      )}
+      <p className="text-xs text-muted-foreground">
+        Files are processed one after another with the settings below. Cuts reviewed on this page apply to the
+        highlighted file; for the others, silence, scene and chapter cuts are detected automatically and all kept.
+      </p>
+    </div>
+  )
+}
+
+export default JobQueue
@@ -0,0 +1,80 @@
+import React from 'react'
+import { Loader2 } from 'lucide-react'
+import { formatDuration } from '../utils/timeUtils'
+
+/**
+ * Formats a channel count for display, e.g. 2 and "stereo" -> "2 (stereo)"
+ * @param {{channels: number|null, channelLayout: string|null}} audio - Parsed audio stream
+ * @returns {string}
+ */
+function formatChannels(audio) {
+  if (audio.channels === null) return audio.channelLayout || 'Unknown'
+  return audio.channelLayout && !/channels/.test(audio.channelLayout)
+    ? `${audio.channels} (${audio.channelLayout})`
+    : String(audio.channels)
+}
+
+function MediaInfoPanel({ info, isProbing, error, expectedSegments }) {
+  if (isProbing) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-muted-foreground">
+        <Loader2 className="h-4 w-4 animate-spin" />
+        Reading media info...
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        Couldn't read media info: {error}
+      </p>
+    )
+  }
+
+  if (!info) return null
+
+  const rows = [
+    ['Duration', info.duration !== null ? formatDuration(info.duration) : 'Unknown'],
+    ['Container', info.container || 'Unknown'],
+    ['Bitrate', info.bitrate !== null ? `${info.bitrate} kb/s` : 'Unknown'],
+  ]
+
+  if (info.video) {
+    rows.push(['Video codec', info.video.codec])
+    if (info.video.width && info.video.height) {
+      rows.push(['Resolution', `${info.video.width}×${info.video.height}`])
+    }
+    if (info.video.frameRate) {
+      rows.push(['Frame rate', `${info.video.frameRate} fps`])
+    }
+  }
+
+  if (info.audio) {
+    rows.push(['Audio codec', info.audio.codec])
+    if (info.audio.sampleRate) {
+      rows.push(['Sample rate', `${info.audio.sampleRate} Hz`])
+    }
+    rows.push(['Channels', formatChannels(info.audio)])
+  }
+
+  return (
+    <div className="rounded-lg border p-4 space-y-3">
+      <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+        {rows.map(([label, value]) => (
+          <React.Fragment key={label}>
+            <dt className="text-muted-foreground">{label}</dt>
+            <dd className="font-medium break-all">{value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+      {expectedSegments !== null && (
+        <p className="text-sm pt-3 border-t">
+          Expected segments: <span className="font-medium">{expectedSegments}</span>
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default MediaInfoPanel
@@ -1,84 +1,272 @@
-import React, { useState, useRef, useEffect } from 'react'
+import React, { useState, useEffect } from 'react'
 import { useFFmpeg } from '../hooks/useFFmpeg'
-import { sanitizeFilename, isSupportedMediaFile, getFileExtension } from '../utils/fileUtils'
-import JSZip from 'jszip'
+import { useJobQueue } from '../hooks/useJobQueue'
+import { useExportTarget } from '../hooks/useExportTarget'
+import { useFileInput } from '../hooks/useFileInput'
+import { useMediaInfo } from '../hooks/useMediaInfo'
+import { useCutDetection } from '../hooks/useCutDetection'
+import { useTimeline } from '../hooks/useTimeline'
+import {
+  sanitizeFilename,
+  getFileExtension,
+  getBaseName,
+  makeUniqueFilename,
+} from '../utils/fileUtils'
+import { formatDuration, formatTimestamp } from '../utils/timeUtils'
+import { SLICE_MODES } from '../utils/ffmpegArgs'
+import { OUTPUT_FORMATS, QUALITY_PRESETS, resolveOutputFormat } from '../utils/outputFormats'
+import { SPLIT_STRATEGIES, parseCutList, planCutPoints, planToSegments } from '../utils/segments'
+import { SAVE_TARGETS, FOLDER_COLLISIONS, canSaveToFolder } from '../utils/folderExport'
+import { DEFAULT_NAME_TEMPLATE, findUnknownTokens, renderSegmentName } from '../utils/naming'
+import { MANIFEST_FILES } from '../utils/manifest'
+import { getMemoryBudget, planMemoryUse, formatMemorySize } from '../utils/memoryBudget'
+import { SINGLE_THREAD_REASONS } from '../utils/ffmpegCore'
+import { sliceMedia, planSlices } from '../engine'
 import { Button } from './ui/button'
 import { Input } from './ui/input'
+import MediaInfoPanel from './MediaInfoPanel'
+import SegmentReport from './SegmentReport'
+import SilenceSplitPanel from './SilenceSplitPanel'
+import SceneSplitPanel from './SceneSplitPanel'
+import ChapterSplitPanel from './ChapterSplitPanel'
+import AudioOptionsPanel from './AudioOptionsPanel'
+import NameTemplatePanel from './NameTemplatePanel'
+import JobQueue from './JobQueue'
+import FFmpegLogPanel from './FFmpegLogPanel'
+import TimelinePreview from './TimelinePreview'
 import { Progress } from './ui/progress'
 import { Alert, AlertDescription } from './ui/alert'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card'
-import { Loader2, File, Upload, AlertCircle, CheckCircle2, Info } from 'lucide-react'
+import { Loader2, File, Upload, AlertCircle, CheckCircle2, Info, RotateCw, XCircle, FolderOpen } from 'lucide-react'
 import { cn } from '../lib/utils'
 
-function MediaSlicer() {
-  const [file, setFile] = useState(null)
+// How much memory a job may use before the user is warned
+const memoryBudget = getMemoryBudget()
+
+/**
+ * @param {Object} props
+ * @param {Array<File|Blob>|null} props.inputFiles - Files handed over by a host app; each new array is added to the queue
+ */
+function MediaSlicer({ inputFiles = null }) {
+  const [splitStrategy, setSplitStrategy] = useState('duration')
   const [segmentLength, setSegmentLength] = useState(30)
-  const [isProcessing, setIsProcessing] = useState(false)
-  const [progress, setProgress] = useState(0)
+  const [segmentCount, setSegmentCount] = useState(5)
+  const [maxSizeMB, setMaxSizeMB] = useState(25)
+  const [cutListText, setCutListText] = useState('')
+  const [sliceMode, setSliceMode] = useState('fast')
+  const [outputFormat, setOutputFormat] = useState('original')
+  const [quality, setQuality] = useState('medium')
+  const [audioSettings, setAudioSettings] = useState({ audioOnly: false, layout: 'source', normalize: false })
+  const [nameTemplate, setNameTemplate] = useState(DEFAULT_NAME_TEMPLATE)
+  const [includeEdl, setIncludeEdl] = useState(false)
   const [status, setStatus] = useState('')
   const [error, setError] = useState('')
-  const fileInputRef = useRef(null)
-  const { ffmpeg, isLoaded, loadFFmpeg } = useFFmpeg()
+  const {
+    ffmpeg,
+    isLoaded,
+    isRestarting,
+    isMultiThreaded,
+    singleThreadReason,
+    error: loadError,
+    loadFFmpeg,
+    restartFFmpeg,
+    probeMedia,
+    subscribe,
+    getLog,
+    clearLog,
+  } = useFFmpeg()
+  const exportTarget = useExportTarget()
+  const { saveTarget, setSaveTarget, folderCollision, setFolderCollision, batchOutput, setBatchOutput } = exportTarget
+  const {
+    jobs,
+    activeFile: file,
+    isProcessing,
+    isCancelling,
+    progress,
+    progressDetail,
+    report: segmentReport,
+    pendingCount,
+    enqueue,
+    selectJob,
+    removeJob,
+    jobsToRun,
+    run,
+    cancel,
+  } = useJobQueue({ setStatus, setError, onCancel: restartFFmpeg })
+  const {
+    dragState,
+    fileInputRef,
+    folderInputRef,
+    openPicker,
+    handleFileSelect,
+    handleDragEnter,
+    handleDragLeave,
+    handleDragOver,
+    handleDrop,
+  } = useFileInput({ onAccept: enqueue, isProcessing, isReady: isLoaded, inputFiles, setStatus, setError })
 
   useEffect(() => {
     loadFFmpeg()
   }, [loadFFmpeg])
 
-  const handleFileSelect = (e) => {
-    const selectedFile = e.target.files[0]
-    if (!selectedFile) {
-      // Reset input value if no file selected (user cancelled)
-      if (fileInputRef.current) {
-        fileInputRef.current.value = ''
-      }
-      return
-    }
+  const { mediaInfo, isProbing, probeError } = useMediaInfo(ffmpeg, file, probeMedia)
+  const {
+    silenceSettings,
+    silenceCuts,
+    sceneSettings,
+    sceneDetection,
+    chapters,
+    isDetecting,
+    detectProgress,
+    isReadingChapters,
+    handleDetectSilence,
+    handleDetectScenes,
+    handleSilenceSettingsChange,
+    handleSceneSettingsChange,
+    handleToggleSilenceCut,
+    handleToggleSceneCut,
+    handleReadChapters,
+    handleToggleChapter,
+    handleToggleAllChapters,
+  } = useCutDetection({ ffmpeg, file, mediaInfo, setError })
+  const { timeline, isLoadingTimeline, handleLoadTimeline } = useTimeline({ ffmpeg, file, mediaInfo, setError })
+
+  const cutList = parseCutList(cutListText)
+  const detectedCuts = splitStrategy === 'scenes' ? sceneDetection?.cuts : silenceCuts
+
+  // Split settings shared by every queued file
+  const splitOptions = {
+    strategy: splitStrategy,
+    segmentLength,
+    segmentCount,
+    maxSizeMB,
+    cutList,
+    silence: silenceSettings,
+    scenes: sceneSettings,
+  }
 
-    setError('')
-    
-    // Validate file type
-    if (!isSupportedMediaFile(selectedFile)) {
-      setError('Unsupported file format. Please select a media file (mp4, mp3, mov, wav, etc.)')
-      // Reset input on error
-      if (fileInputRef.current) {
-        fileInputRef.current.value = ''
-      }
-      return
-    }
+  // The selected file is split at the cuts and chapters reviewed on this page
+  const reviewedSplit = {
+    ...splitOptions,
+    cutPoints: detectedCuts ? detectedCuts.filter((cut) => cut.accepted).map((cut) => cut.time) : null,
+    chapters: chapters ? chapters.filter((chapter) => chapter.selected) : null,
+  }
 
-    // Validate file size (limit to 500MB for browser processing)
-    const maxSize = 500 * 1024 * 1024 // 500MB
-    if (selectedFile.size > maxSize) {
-      setError('File size too large. Maximum size is 500MB for browser processing.')
-      // Reset input on error
-      if (fileInputRef.current) {
-        fileInputRef.current.value = ''
-      }
-      return
+  // Only validated once the file has been probed - until then duration and bitrate are unknown
+  let splitPlan = null
+  let planError = ''
+  if (mediaInfo) {
+    try {
+      splitPlan = planSlices(file, mediaInfo, reviewedSplit)
+    } catch (err) {
+      planError = err.message
     }
+  }
+  const expectedSegments = splitPlan?.expectedSegments ?? null
+  const memoryPlan = file ? planMemoryUse(file.size, expectedSegments, memoryBudget.bytes) : null
+  const timelineSegments = splitPlan && mediaInfo?.duration ? planToSegments(splitPlan, mediaInfo.duration) : []
+  const timelineCuts = splitPlan && mediaInfo?.duration ? planCutPoints(splitPlan, mediaInfo.duration) : null
+
+  const unknownTokens = findUnknownTokens(nameTemplate)
+  const nameTemplateError = unknownTokens.length > 0
+    ? `Unknown token${unknownTokens.length > 1 ? 's' : ''} ${unknownTokens.join(', ')} in the file name template.`
+    : ''
+  // The first few names the template produces for the highlighted file, made unique like the real ones
+  const previewNames = new Set()
+  const sourceExt = file
+    ? jobs.find((job) => job.file === file)?.format?.extension ?? getFileExtension(sanitizeFilename(file.name))
+    : null
+  const namePreview = file && !nameTemplateError
+    ? Array.from({ length: Math.min(3, expectedSegments || 1) }, (_, index) => makeUniqueFilename(renderSegmentName(nameTemplate, {
+        name: getBaseName(sanitizeFilename(file.name)),
+        index,
+        count: expectedSegments,
+        start: timelineSegments[index]?.start ?? null,
+        end: timelineSegments[index]?.end ?? null,
+        label: splitPlan?.labels?.[index] || null,
+        date: new Date(),
+      }, resolveOutputFormat(sourceExt, outputFormat, {
+        audioOnly: audioSettings.audioOnly,
+      }).ext), previewNames))
+    : []
+
+  const handleFileAreaClick = () => {
+    openPicker()
+  }
+
+  const handleChangeFile = (e) => {
+    e.stopPropagation()
+    openPicker()
+  }
 
-    setFile(selectedFile)
-    setStatus('File selected. Ready to process.')
+  const handleAddFolder = (e) => {
+    e.stopPropagation()
+    openPicker(true)
   }
 
-  const handleFileAreaClick = (e) => {
-    if (isProcessing) return
-    // Only open file picker if no file is selected, or allow changing file
-    if (fileInputRef.current) {
-      fileInputRef.current.click()
+  /**
+   * Applies cuts adjusted on the timeline by turning them into a custom cut list, keeping any labels
+   * @param {number[]} times - Adjusted cut times in seconds
+   */
+  const handleCutsAdjusted = (times) => {
+    const labels = splitPlan?.labels
+    const lines = []
+    if (labels?.[0]) {
+      lines.push(`${formatTimestamp(0)}\t${labels[0]}`)
     }
+    times.forEach((time, i) => {
+      const label = labels?.[i + 1]
+      lines.push(label ? `${formatTimestamp(time)}\t${label}` : formatTimestamp(time))
+    })
+    setCutListText(lines.join('\n'))
+    setSplitStrategy('cuts')
   }
 
-  const handleChangeFile = (e) => {
-    e.stopPropagation()
-    if (fileInputRef.current && !isProcessing) {
-      fileInputRef.current.value = ''
-      fileInputRef.current.click()
+  /**
+   * Slices one queued file, handing each segment over as soon as it has been read back
+   * @param {{file: File}} job - Queued job
+   * @param {Object} callbacks
+   * @param {(percent: number) => void} callbacks.onProgress - Progress of this file, 0-100
+   * @param {(status: string) => void} callbacks.onStatus - Current step
+   * @param {(detail: Object|null) => void} callbacks.onDetail - Segments written and ETA while slicing
+   * @param {(name: string, data: Uint8Array) => Promise<void>} callbacks.onSegment - Takes a finished segment;
+   *   it is deleted from the FFmpeg file system once this resolves
+   * @param {AbortSignal} callbacks.signal - Aborted when the user cancels
+   * @returns {Promise<{segmentCount: number, report: Array, oversized: string[], warnings: string[],
+   *   attachments: Array<{name: string, content: string}>}>} - attachments are the manifest and report files
+   *   to save next to the segments
+   */
+  const processJob = async ({ file: jobFile }, callbacks) => {
+    const isReviewed = jobFile === file
+    const { segments, oversized, warnings, attachments } = await sliceMedia(ffmpeg, jobFile, {
+      // Other queued files have their cuts detected and all kept
+      split: isReviewed ? reviewedSplit : splitOptions,
+      info: isReviewed ? mediaInfo : null,
+      mode: sliceMode,
+      format: outputFormat,
+      quality,
+      audio: audioSettings,
+      nameTemplate,
+      includeEdl,
+      memoryBudget: memoryBudget.bytes,
+    }, callbacks)
+
+    return {
+      segmentCount: segments.length,
+      report: segments.filter((segment) => segment.start !== null),
+      oversized,
+      warnings,
+      attachments,
     }
   }
 
-  const handleProcess = async () => {
-    if (!file || !isLoaded) {
+  /**
+   * Checks that the queued files can be sliced with the current settings, then slices them
+   * @param {number[]|null} jobIds - Jobs to run, e.g. a single retry; null runs every job not yet done
+   */
+  const handleProcess = async (jobIds = null) => {
+    const queue = jobsToRun(jobIds)
+    if (queue.length === 0 || !isLoaded) {
       setError('Please select a file and wait for FFmpeg to load.')
       return
     }
@@ -88,151 +276,49 @@ function MediaSlicer() {
       return
     }
 
-    if (segmentLength <= 0) {
-      setError('Segment length must be greater than 0.')
+    // Only the reviewed file's plan is known up front; the others are checked as they are processed
+    if (planError && queue.some((job) => job.file === file)) {
+      setError(planError)
+      return
+    }
+    if (nameTemplateError) {
+      setError(nameTemplateError)
       return
     }
 
-    setIsProcessing(true)
-    setError('')
-    setProgress(0)
-    setStatus('Processing... This may take a while for large files.')
-
-    try {
-      // Sanitize filename
-      const sanitized = sanitizeFilename(file.name)
-      const ext = getFileExtension(sanitized)
-      const baseName = sanitized.substring(0, sanitized.lastIndexOf('.')) || sanitized
-
-      // Write input file to FFmpeg
-      // FFmpeg.wasm requires Uint8Array, not ArrayBuffer
-      setStatus('Loading file into FFmpeg...')
-      const fileData = await file.arrayBuffer()
-      await ffmpeg.writeFile(sanitized, new Uint8Array(fileData))
-      setProgress(10)
-
-      // Determine output format (preserve original or use appropriate format)
-      const outputExt = ext || 'mp4'
-      const outputPattern = `out_%02d.${outputExt}`
-
-      setStatus('Slicing media file...')
-      
-      // Run FFmpeg command
-      // Using -c copy for faster processing (no re-encoding)
-      // -reset_timestamps ensures proper playback
-      try {
-        await ffmpeg.exec([
-          '-i', sanitized,
-          '-f', 'segment',
-          '-segment_time', segmentLength.toString(),
-          '-c', 'copy',
-          '-reset_timestamps', '1',
-          '-segment_format', outputExt === 'mp3' || outputExt === 'wav' ? outputExt : 'mp4',
-          outputPattern
-        ])
-      } catch (execErr) {
-        // FFmpeg exec errors might not have standard error format
-        const execErrorMessage = execErr?.message || execErr?.toString() || String(execErr) || 'FFmpeg execution failed'
-        throw new Error(`FFmpeg processing failed: ${execErrorMessage}`)
-      }
-
-      setProgress(60)
-      setStatus('Collecting segments...')
-
-      // List all output files
-      const files = await ffmpeg.listDir('/')
-      const outputFiles = files
-        .filter(f => f.name.startsWith('out_') && f.name.endsWith(`.${outputExt}`))
-        .sort((a, b) => a.name.localeCompare(b.name))
-
-      if (outputFiles.length === 0) {
-        throw new Error('No output files were created. The file might be too short or there was an error.')
-      }
-
-      setProgress(70)
-      setStatus(`Creating ZIP file with ${outputFiles.length} segments...`)
-
-      // Create ZIP file
-      const zip = new JSZip()
-      
-      for (let i = 0; i < outputFiles.length; i++) {
-        const outputFile = outputFiles[i]
-        const data = await ffmpeg.readFile(outputFile.name)
-        const segmentNumber = String(i + 1).padStart(2, '0')
-        const zipFileName = `${baseName}_segment_${segmentNumber}.${outputExt}`
-        zip.file(zipFileName, data)
-        setProgress(70 + (i + 1) / outputFiles.length * 20)
-      }
-
-      setProgress(95)
-      setStatus('Finalizing ZIP file...')
-
-      // Generate and download ZIP
-      const zipBlob = await zip.generateAsync({ type: 'blob' })
-      const url = URL.createObjectURL(zipBlob)
-      const a = document.createElement('a')
-      a.href = url
-      a.download = `${baseName}_segments.zip`
-      document.body.appendChild(a)
-      a.click()
-      document.body.removeChild(a)
-      URL.revokeObjectURL(url)
-
-      // Clean up FFmpeg files
-      for (const outputFile of outputFiles) {
-        await ffmpeg.deleteFile(outputFile.name)
-      }
-      await ffmpeg.deleteFile(sanitized)
-
-      setProgress(100)
-      setStatus(`Success! Created ${outputFiles.length} segments. Download started.`)
-      
-      // Reset after 3 seconds
-      setTimeout(() => {
-        setFile(null)
-        setProgress(0)
-        setStatus('')
-        if (fileInputRef.current) {
-          fileInputRef.current.value = ''
-        }
-      }, 3000)
+    await run(queue, { exportTarget, processJob, maxSizeMB })
+  }
 
-    } catch (err) {
-      console.error('Processing error:', err)
-      // Safely extract error message
-      const errorMessage = err?.message || err?.toString() || String(err) || 'Unknown error occurred'
-      setError(`Error processing file: ${errorMessage}`)
-      setStatus('')
-      
-      // Clean up any files that might have been created
-      try {
-        if (ffmpeg) {
-          const sanitized = sanitizeFilename(file.name)
-          const files = await ffmpeg.listDir('/')
-          for (const f of files) {
-            if (f.name === sanitized || f.name.startsWith('out_')) {
-              await ffmpeg.deleteFile(f.name).catch(() => {})
-            }
-          }
-        }
-      } catch (cleanupErr) {
-        console.error('Cleanup error:', cleanupErr)
-      }
-    } finally {
-      setIsProcessing(false)
-    }
+  const handleRetryJob = (job) => {
+    handleProcess([job.id])
   }
 
   return (
     <Card className="w-full max-w-2xl mx-auto shadow-xl">
-      {!isLoaded && (
+      {!isLoaded && loadError && (
+        <CardContent className="flex flex-col items-center justify-center py-12 gap-4">
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>
+              <p className="font-medium">FFmpeg failed to load</p>
+              <p>{loadError}</p>
+            </AlertDescription>
+          </Alert>
+          <Button type="button" onClick={loadFFmpeg}>
+            <RotateCw className="mr-2 h-4 w-4" />
+            Retry
+          </Button>
+        </CardContent>
+      )}
+
+      {!isLoaded && !isRestarting && !loadError && (
         <CardContent className="flex flex-col items-center justify-center py-12">
           <Loader2 className="h-12 w-12 animate-spin text-primary mb-4" />
           <p className="text-muted-foreground">Loading FFmpeg (this may take a moment on first load)...</p>
         </CardContent>
       )}
 
-      {isLoaded && (
+      {(isLoaded || isRestarting) && (
         <>
           <CardHeader>
             <CardTitle className="text-3xl">Media Slicer</CardTitle>
@@ -247,6 +333,15 @@ function MediaSlicer() {
                 ref={fileInputRef}
                 type="file"
                 accept="audio/*,video/*"
+                multiple
+                onChange={handleFileSelect}
+                disabled={isProcessing}
+                className="hidden"
+              />
+              <input
+                ref={folderInputRef}
+                type="file"
+                webkitdirectory=""
                 onChange={handleFileSelect}
                 disabled={isProcessing}
                 className="hidden"
@@ -257,11 +352,24 @@ function MediaSlicer() {
                   file
                     ? "border-primary bg-primary/5"
                     : "border-muted-foreground/25 hover:border-primary/50 hover:bg-accent/50 cursor-pointer",
+                  dragState === 'valid' && "border-primary bg-primary/10",
+                  dragState === 'invalid' && "border-destructive bg-destructive/10",
                   isProcessing && "opacity-50 cursor-not-allowed"
                 )}
                 onClick={!file ? handleFileAreaClick : undefined}
+                onDragEnter={handleDragEnter}
+                onDragLeave={handleDragLeave}
+                onDragOver={handleDragOver}
+                onDrop={handleDrop}
               >
-                {file ? (
+                {dragState ? (
+                  <div className="flex flex-col items-center gap-2 pointer-events-none">
+                    <Upload className={cn('h-12 w-12', dragState === 'invalid' ? 'text-destructive' : 'text-primary')} />
+                    <span className="font-medium text-lg">
+                      {dragState === 'invalid' ? 'Only audio and video files can be added' : 'Drop to add to the queue'}
+                    </span>
+                  </div>
+                ) : file ? (
                   <div className="flex flex-col items-center gap-3">
                     <File className="h-12 w-12 text-primary" />
                     <div className="flex flex-col items-center gap-1">
@@ -270,46 +378,387 @@ function MediaSlicer() {
                         {(file.size / (1024 * 1024)).toFixed(2)} MB
                       </span>
                     </div>
+                    <div className="flex gap-2 mt-2">
+                      <Button
+                        type="button"
+                        variant="outline"
+                        size="sm"
+                        onClick={handleChangeFile}
+                        disabled={isProcessing}
+                      >
+                        Add Files
+                      </Button>
+                      <Button
+                        type="button"
+                        variant="outline"
+                        size="sm"
+                        onClick={handleAddFolder}
+                        disabled={isProcessing}
+                      >
+                        <FolderOpen className="mr-2 h-4 w-4" />
+                        Add Folder
+                      </Button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="flex flex-col items-center gap-2">
+                    <Upload className="h-12 w-12 text-muted-foreground" />
+                    <span className="font-medium text-lg">Click to select media files</span>
+                    <span className="text-sm text-muted-foreground">
+                      Supports: MP4, MP3, MOV, WAV, and more - or drop files or a whole folder here, or paste them
+                    </span>
                     <Button
                       type="button"
                       variant="outline"
                       size="sm"
-                      onClick={handleChangeFile}
+                      onClick={handleAddFolder}
                       disabled={isProcessing}
                       className="mt-2"
                     >
-                      Change File
+                      <FolderOpen className="mr-2 h-4 w-4" />
+                      Select Folder
                     </Button>
                   </div>
-                ) : (
-                  <div className="flex flex-col items-center gap-2">
-                    <Upload className="h-12 w-12 text-muted-foreground" />
-                    <span className="font-medium text-lg">Click to select a media file</span>
-                    <span className="text-sm text-muted-foreground">
-                      Supports: MP4, MP3, MOV, WAV, and more
-                    </span>
-                  </div>
                 )}
               </div>
+              <JobQueue
+                jobs={jobs}
+                activeFile={file}
+                onSelect={selectJob}
+                onRemove={removeJob}
+                onRetry={handleRetryJob}
+                batchOutput={exportTarget.toFolder ? null : batchOutput}
+                onBatchOutputChange={setBatchOutput}
+                disabled={isProcessing}
+              />
+              {file && (
+                <MediaInfoPanel
+                  info={mediaInfo}
+                  isProbing={isProbing}
+                  error={probeError}
+                  expectedSegments={expectedSegments}
+                />
+              )}
+              {memoryPlan && (
+                <p className={cn('text-xs', memoryPlan.overBudget ? 'text-destructive' : 'text-muted-foreground')}>
+                  Estimated memory use: about {formatMemorySize(memoryPlan.estimate)} of the{' '}
+                  {formatMemorySize(memoryBudget.bytes)} budget
+                  {memoryBudget.source === 'device' ? ' for this device' : ''}.
+                  {memoryPlan.chunked && ' Segments will be cut and saved one at a time to stay within it.'}
+                  {memoryPlan.chunked && !splitPlan?.ranges && sliceMode === 'fast' && outputFormat === 'original' &&
+                    ' In Fast mode each segment then starts at the keyframe before its cut rather than the one after;' +
+                    ' use Accurate mode for exact cuts.'}
+                  {memoryPlan.overBudget &&
+                    ' This may be more than the browser can handle - close other tabs or split into more segments.'}
+                  {exportTarget.holdsZipInMemory &&
+                    ' This browser can\'t write the ZIP file straight to disk, so it is also held in memory until the' +
+                    ' download starts - about as much again as the segments.'}
+                </p>
+              )}
             </div>
 
-            {/* Segment Length Input */}
+            {/* Split Settings */}
             <div className="space-y-2">
-              <label htmlFor="segment-length" className="text-sm font-medium">
-                Segment Length (seconds)
-              </label>
-              <Input
-                id="segment-length"
-                type="number"
-                min="1"
-                max="3600"
-                value={segmentLength}
-                onChange={(e) => setSegmentLength(parseInt(e.target.value) || 30)}
-                disabled={isProcessing}
-                className="w-full"
+              <span className="text-sm font-medium">Split</span>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                {Object.entries(SPLIT_STRATEGIES).map(([strategy, { label }]) => (
+                  <Button
+                    key={strategy}
+                    type="button"
+                    variant={splitStrategy === strategy ? 'default' : 'outline'}
+                    onClick={() => setSplitStrategy(strategy)}
+                    disabled={isProcessing}
+                  >
+                    {label}
+                  </Button>
+                ))}
+              </div>
+            </div>
+
+            {splitStrategy === 'duration' && (
+              <div className="space-y-2">
+                <label htmlFor="segment-length" className="text-sm font-medium">
+                  Segment Length (seconds)
+                </label>
+                <Input
+                  id="segment-length"
+                  type="number"
+                  min="1"
+                  max="3600"
+                  value={segmentLength}
+                  onChange={(e) => setSegmentLength(parseInt(e.target.value) || 30)}
+                  disabled={isProcessing}
+                  className="w-full"
+                />
+              </div>
+            )}
+
+            {splitStrategy === 'count' && (
+              <div className="space-y-2">
+                <label htmlFor="segment-count" className="text-sm font-medium">
+                  Number of Equal Parts
+                </label>
+                <Input
+                  id="segment-count"
+                  type="number"
+                  min="1"
+                  max="1000"
+                  value={segmentCount}
+                  onChange={(e) => setSegmentCount(parseInt(e.target.value) || 5)}
+                  disabled={isProcessing}
+                  className="w-full"
+                />
+              </div>
+            )}
+
+            {splitStrategy === 'size' && (
+              <div className="space-y-2">
+                <label htmlFor="max-size" className="text-sm font-medium">
+                  Maximum Segment Size (MB)
+                </label>
+                <Input
+                  id="max-size"
+                  type="number"
+                  min="1"
+                  step="0.5"
+                  value={maxSizeMB}
+                  onChange={(e) => setMaxSizeMB(parseFloat(e.target.value) || 25)}
+                  disabled={isProcessing}
+                  className="w-full"
+                />
+                <p className="text-xs text-muted-foreground">
+                  Cut points are estimated from the file's bitrate; every segment is checked against the limit afterwards.
+                </p>
+              </div>
+            )}
+
+            {splitStrategy === 'cuts' && (
+              <div className="space-y-2">
+                <label htmlFor="cut-list" className="text-sm font-medium">
+                  Cut List
+                </label>
+                <textarea
+                  id="cut-list"
+                  rows={6}
+                  value={cutListText}
+                  onChange={(e) => setCutListText(e.target.value)}
+                  disabled={isProcessing}
+                  placeholder={'00:05:00 Chapter 2\n00:12:30.500 Chapter 3\n\nor ranges:\n00:01:00 - 00:02:30, Intro\n00:10:00 - 00:11:00, Highlight'}
+                  className="flex w-full rounded-md border border-input bg-background px-3 py-2 text-sm font-mono ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50"
+                />
+                <p className="text-xs text-muted-foreground">
+                  One timestamp (hh:mm:ss.ms) or start - end range per line, optionally followed by a label used
+                  as the file name. Paste straight from a spreadsheet with tab or comma separated columns. Ranges
+                  may overlap or skip parts of the file.
+                </p>
+                {cutList.errors.length > 1 && (
+                  <ul className="text-xs text-destructive space-y-1">
+                    {cutList.errors.slice(1).map((message) => (
+                      <li key={message}>{message}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            {splitStrategy === 'silence' && (
+              <SilenceSplitPanel
+                settings={silenceSettings}
+                onSettingsChange={handleSilenceSettingsChange}
+                cuts={silenceCuts}
+                onToggleCut={handleToggleSilenceCut}
+                onDetect={handleDetectSilence}
+                isDetecting={isDetecting}
+                detectProgress={detectProgress}
+                disabled={isProcessing || isProbing || !mediaInfo}
+              />
+            )}
+
+            {splitStrategy === 'scenes' && (
+              <SceneSplitPanel
+                settings={sceneSettings}
+                onSettingsChange={handleSceneSettingsChange}
+                detection={sceneDetection}
+                onToggleCut={handleToggleSceneCut}
+                onDetect={handleDetectScenes}
+                isDetecting={isDetecting}
+                detectProgress={detectProgress}
+                disabled={isProcessing || isProbing || !mediaInfo}
               />
+            )}
+
+            {splitStrategy === 'chapters' && (
+              <ChapterSplitPanel
+                chapters={chapters}
+                onToggleChapter={handleToggleChapter}
+                onToggleAll={handleToggleAllChapters}
+                onRead={handleReadChapters}
+                isReading={isReadingChapters}
+                disabled={isProcessing || isProbing || isDetecting || !file}
+              />
+            )}
+
+            {planError && (
+              <p className="text-sm text-destructive">{planError}</p>
+            )}
+
+            {/* Timeline Preview */}
+            {file && mediaInfo?.duration && (
+              <TimelinePreview
+                file={file}
+                duration={mediaInfo.duration}
+                hasVideo={mediaInfo.video !== null}
+                segments={timelineSegments}
+                cutPoints={timelineCuts}
+                onCutsChange={handleCutsAdjusted}
+                peaks={timeline?.peaks}
+                thumbnails={timeline?.thumbnails}
+                onLoad={handleLoadTimeline}
+                isLoading={isLoadingTimeline}
+                disabled={isProcessing || isDetecting || isReadingChapters}
+              />
+            )}
+
+            {/* Slicing Mode */}
+            <div className="space-y-2">
+              <span className="text-sm font-medium">Cut Mode</span>
+              <div className="grid grid-cols-2 gap-2">
+                {Object.entries(SLICE_MODES).map(([mode, { label }]) => (
+                  <Button
+                    key={mode}
+                    type="button"
+                    variant={sliceMode === mode ? 'default' : 'outline'}
+                    onClick={() => setSliceMode(mode)}
+                    disabled={isProcessing}
+                  >
+                    {label}
+                  </Button>
+                ))}
+              </div>
+              <p className="text-xs text-muted-foreground">{SLICE_MODES[sliceMode].description}</p>
+            </div>
+
+            {/* Output Format */}
+            <div className="space-y-2">
+              <span className="text-sm font-medium">Output Format</span>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                {Object.entries(OUTPUT_FORMATS).map(([format, { label }]) => (
+                  <Button
+                    key={format}
+                    type="button"
+                    variant={outputFormat === format ? 'default' : 'outline'}
+                    onClick={() => setOutputFormat(format)}
+                    disabled={isProcessing}
+                    className="h-auto whitespace-normal py-2"
+                  >
+                    {label}
+                  </Button>
+                ))}
+              </div>
+              {(outputFormat !== 'original' || sliceMode === 'accurate' || audioSettings.layout !== 'source' ||
+                audioSettings.normalize) && (
+                <>
+                  <span className="text-sm font-medium">Quality</span>
+                  <div className="grid grid-cols-3 gap-2">
+                    {Object.entries(QUALITY_PRESETS).map(([preset, { label }]) => (
+                      <Button
+                        key={preset}
+                        type="button"
+                        variant={quality === preset ? 'default' : 'outline'}
+                        onClick={() => setQuality(preset)}
+                        disabled={isProcessing}
+                      >
+                        {label}
+                      </Button>
+                    ))}
+                  </div>
+                </>
+              )}
+              <p className="text-xs text-muted-foreground">
+                {outputFormat === 'original'
+                  ? 'Segments keep the source format.'
+                  : 'Converting always re-encodes, which is slower than a fast cut. Audio-only formats drop any video.'}
+              </p>
+            </div>
+
+            {/* File Names */}
+            <NameTemplatePanel
+              template={nameTemplate}
+              onTemplateChange={setNameTemplate}
+              previewNames={namePreview}
+              error={nameTemplateError}
+              disabled={isProcessing}
+            />
+
+            {/* Manifest */}
+            <div className="space-y-1">
+              <label className="flex items-center gap-2 text-sm cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={includeEdl}
+                  onChange={(e) => setIncludeEdl(e.target.checked)}
+                  disabled={isProcessing}
+                />
+                Include a CMX3600 EDL for relinking segments in an editor
+              </label>
+              <p className="text-xs text-muted-foreground">
+                {MANIFEST_FILES.json} and {MANIFEST_FILES.csv} are always saved next to the segments, listing each
+                segment's source, times, size, codecs and the FFmpeg command that made it.
+              </p>
             </div>
 
+            {/* Audio Options */}
+            <AudioOptionsPanel
+              settings={audioSettings}
+              onSettingsChange={setAudioSettings}
+              hasVideo={!mediaInfo || mediaInfo.video !== null}
+              disabled={isProcessing}
+            />
+
+            {/* Save To (only offered where the File System Access API can write folders) */}
+            {canSaveToFolder() && (
+              <div className="space-y-2">
+                <span className="text-sm font-medium">Save To</span>
+                <div className="grid grid-cols-2 gap-2">
+                  {Object.entries(SAVE_TARGETS).map(([target, { label }]) => (
+                    <Button
+                      key={target}
+                      type="button"
+                      variant={saveTarget === target ? 'default' : 'outline'}
+                      onClick={() => setSaveTarget(target)}
+                      disabled={isProcessing}
+                    >
+                      {label}
+                    </Button>
+                  ))}
+                </div>
+                {saveTarget === 'folder' && (
+                  <>
+                    <span className="text-sm font-medium">If a file already exists</span>
+                    <div className="grid grid-cols-3 gap-2">
+                      {Object.entries(FOLDER_COLLISIONS).map(([collision, { label }]) => (
+                        <Button
+                          key={collision}
+                          type="button"
+                          variant={folderCollision === collision ? 'default' : 'outline'}
+                          onClick={() => setFolderCollision(collision)}
+                          disabled={isProcessing}
+                        >
+                          {label}
+                        </Button>
+                      ))}
+                    </div>
+                  </>
+                )}
+                <p className="text-xs text-muted-foreground">
+                  {saveTarget === 'folder'
+                    ? `You'll be asked for a folder when processing starts. Each segment is written as soon as it is ready` +
+                      `${jobs.length > 1 ? ', in a subfolder per file' : ''}. ${FOLDER_COLLISIONS[folderCollision].description}`
+                    : 'All segments are packed into one ZIP file.'}
+                </p>
+              </div>
+            )}
+
             {/* Error Alert */}
             {error && (
               <Alert variant="destructive">
@@ -338,13 +787,34 @@ function MediaSlicer() {
                   <span className="font-medium">{Math.round(progress)}%</span>
                 </div>
                 <Progress value={progress} className="h-2" />
+                {progressDetail && (
+                  <div className="flex justify-between text-xs text-muted-foreground">
+                    <span>
+                      {progressDetail.totalSegments
+                        ? `Segment ${progressDetail.segmentsWritten} of ${progressDetail.totalSegments} written`
+                        : `${progressDetail.segmentsWritten} segments written`}
+                    </span>
+                    {progressDetail.eta !== null && (
+                      <span>About {formatDuration(progressDetail.eta)} remaining</span>
+                    )}
+                  </div>
+                )}
               </div>
             )}
 
+            {/* Segment Report */}
+            {!isProcessing && (
+              <SegmentReport
+                segments={segmentReport}
+                targetLength={splitStrategy === 'size' ? null : splitPlan?.segmentLength}
+                maxBytes={splitPlan?.maxBytes}
+              />
+            )}
+
             {/* Process Button */}
             <Button
-              onClick={handleProcess}
-              disabled={!file || isProcessing || !isLoaded}
+              onClick={() => handleProcess()}
+              disabled={pendingCount === 0 || isProcessing || isProbing || isDetecting || isReadingChapters || isLoadingTimeline || !isLoaded}
               className="w-full"
               size="lg"
             >
@@ -353,22 +823,46 @@ function MediaSlicer() {
                   <Loader2 className="mr-2 h-4 w-4 animate-spin" />
                   Processing...
                 </>
+              ) : isRestarting ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Restarting FFmpeg...
+                </>
+              ) : pendingCount > 1 ? (
+                `Slice ${pendingCount} Files & Download`
               ) : (
                 'Slice & Download'
               )}
             </Button>
 
+            {/* Cancel Button */}
+            {isProcessing && (
+              <Button
+                type="button"
+                variant="outline"
+                onClick={cancel}
+                disabled={isCancelling}
+                className="w-full"
+              >
+                <XCircle className="mr-2 h-4 w-4" />
+                Cancel
+              </Button>
+            )}
+
+            {/* FFmpeg Log */}
+            <FFmpegLogPanel getLog={getLog} subscribe={subscribe} onClear={clearLog} />
+
             {/* Info Section */}
             <div className="pt-6 border-t space-y-3">
               <h3 className="font-semibold text-lg">How it works:</h3>
               <ul className="space-y-2 text-sm text-muted-foreground">
                 <li className="flex items-start gap-2">
                   <CheckCircle2 className="h-4 w-4 text-primary mt-0.5 flex-shrink-0" />
-                  <span>Select a media file (audio or video)</span>
+                  <span>Select one or more media files (audio or video), or a whole folder</span>
                 </li>
                 <li className="flex items-start gap-2">
                   <CheckCircle2 className="h-4 w-4 text-primary mt-0.5 flex-shrink-0" />
-                  <span>Choose segment length in seconds</span>
+                  <span>Choose how to split: by length, number of parts or size</span>
                 </li>
                 <li className="flex items-start gap-2">
                   <CheckCircle2 className="h-4 w-4 text-primary mt-0.5 flex-shrink-0" />
@@ -384,7 +878,9 @@ function MediaSlicer() {
                 </li>
               </ul>
               <p className="text-xs text-muted-foreground mt-4 pt-4 border-t">
-                Powered by FFmpeg.wasm (FFmpeg 6.0 WebAssembly) via @ffmpeg/ffmpeg 0.12.6
+                Powered by FFmpeg.wasm (FFmpeg 6.0 WebAssembly) via @ffmpeg/ffmpeg 0.12.6, using the{' '}
+                {isMultiThreaded ? 'multi-threaded core' : 'single-threaded core'}
+                {singleThreadReason && ` (${SINGLE_THREAD_REASONS[singleThreadReason]})`}
               </p>
             </div>
           </CardContent>
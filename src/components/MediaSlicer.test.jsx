@@ -0,0 +1,129 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { render, screen, fireEvent, waitFor, cleanup } from '@testing-library/react'
+import { Blob as NodeBlob, File as NodeFile } from 'node:buffer'
+import MediaSlicer from './MediaSlicer'
+import { probeMedia } from '../engine/exec'
+import { FakeFFmpeg } from '../test/fakeFFmpeg'
+import { readZip } from '../test/readZip'
+
+// Under jsdom, TextEncoder returns arrays from another realm that fail instanceof Uint8Array checks,
+// e.g. in client-zip. It is replaced before any module creates an encoder.
+vi.hoisted(() => {
+  const { encode } = TextEncoder.prototype
+  TextEncoder.prototype.encode = function (text) {
+    return Uint8Array.from(encode.call(this, text))
+  }
+})
+
+// The hook hands out whichever fake the current test created
+let fake = null
+const loadFFmpeg = vi.fn()
+const restartFFmpeg = vi.fn()
+const probe = (inputName) => probeMedia(fake, inputName)
+
+vi.mock('../hooks/useFFmpeg', () => ({
+  useFFmpeg: () => ({
+    ffmpeg: fake,
+    isLoaded: true,
+    isRestarting: false,
+    isMultiThreaded: false,
+    singleThreadReason: 'disabled',
+    error: null,
+    loadFFmpeg,
+    restartFFmpeg,
+    probeMedia: probe,
+    subscribe: () => () => {},
+    getLog: () => [],
+    clearLog: () => {},
+  }),
+}))
+
+describe('MediaSlicer', () => {
+  let downloads
+
+  beforeEach(() => {
+    // jsdom's Blob can't be read back, so use Node's for the archive and the selected file
+    vi.stubGlobal('Blob', NodeBlob)
+    vi.stubGlobal('File', NodeFile)
+    downloads = []
+    URL.createObjectURL = vi.fn((blob) => {
+      // The timeline preview also creates a URL, for the selected file
+      if (blob.type === 'application/zip') downloads.push(blob)
+      return 'blob:test'
+    })
+    URL.revokeObjectURL = vi.fn()
+    // Keep failures logged by the component out of the test output
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    cleanup()
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  /**
+   * Renders the slicer, selects a file and waits until it has been probed
+   * @returns {HTMLButtonElement} - The process button
+   */
+  const selectFile = async () => {
+    const { container } = render(<MediaSlicer />)
+    const input = container.querySelector('input[type="file"][accept]')
+    // Starts like a real MP4 file, as files are checked by content
+    const header = new Uint8Array(2048)
+    header.set([0, 0, 0, 32, ...new TextEncoder().encode('ftypisom')])
+    const file = new File([header], 'Interview Take 1.mp4', { type: 'video/mp4' })
+    fireEvent.change(input, { target: { files: [file] } })
+
+    const button = screen.getByRole('button', { name: 'Slice & Download' })
+    await waitFor(() => expect(button.disabled).toBe(false))
+    return button
+  }
+
+  it('slices the selected file into a ZIP and clears the FFmpeg file system', async () => {
+    fake = new FakeFFmpeg({ duration: 75 })
+    const button = await selectFile()
+    fireEvent.click(button)
+
+    await screen.findByText(/Success! Created 3 segments/)
+    expect(downloads).toHaveLength(1)
+    const entries = readZip(new Uint8Array(await downloads[0].arrayBuffer()))
+    expect([...entries.keys()]).toEqual([
+      'Interview_Take_1_segment_01.mp4',
+      'Interview_Take_1_segment_02.mp4',
+      'Interview_Take_1_segment_03.mp4',
+      'manifest.json',
+      'manifest.csv',
+    ])
+    expect(new TextDecoder().decode(entries.get('Interview_Take_1_segment_03.mp4'))).toBe('out_00002.mp4 60.000-75.000')
+    const manifest = JSON.parse(new TextDecoder().decode(entries.get('manifest.json')))
+    expect(manifest.source.fileName).toBe('Interview Take 1.mp4')
+    expect(manifest.segments).toHaveLength(3)
+
+    expect([...fake.files.keys()]).toEqual([])
+    expect([...fake.mounts.keys()]).toEqual([])
+  })
+
+  it('rejects a file whose content is not media', async () => {
+    fake = new FakeFFmpeg()
+    const { container } = render(<MediaSlicer />)
+    const input = container.querySelector('input[type="file"][accept]')
+    const file = new File(['just some text'], 'notes.mp4', { type: 'video/mp4' })
+    fireEvent.change(input, { target: { files: [file] } })
+
+    await screen.findByText(/notes\.mp4 doesn't contain a supported media format/)
+    expect(screen.getByRole('button', { name: 'Slice & Download' }).disabled).toBe(true)
+  })
+
+  it('reports an FFmpeg failure and cleans up after it', async () => {
+    fake = new FakeFFmpeg({ duration: 75, failOn: (args) => args.includes('segment') })
+    const button = await selectFile()
+    fireEvent.click(button)
+
+    await screen.findByText(/Error processing file: FFmpeg processing failed: FFmpeg worker crashed/)
+    expect(downloads).toHaveLength(0)
+    expect([...fake.files.keys()]).toEqual([])
+    expect([...fake.mounts.keys()]).toEqual([])
+  })
+})
@@ -0,0 +1,42 @@
+import React from 'react'
+import { Input } from './ui/input'
+import { NAME_TOKENS, DEFAULT_NAME_TEMPLATE } from '../utils/naming'
+
+function NameTemplatePanel({ template, onTemplateChange, previewNames, error, disabled }) {
+  return (
+    <div className="space-y-2">
+      <label htmlFor="name-template" className="text-sm font-medium">
+        File Names
+      </label>
+      <Input
+        id="name-template"
+        type="text"
+        value={template}
+        onChange={(e) => onTemplateChange(e.target.value)}
+        placeholder={DEFAULT_NAME_TEMPLATE}
+        disabled={disabled}
+        spellCheck={false}
+      />
+      {error && <p className="text-xs text-destructive">{error}</p>}
+      {!error && previewNames.length > 0 && (
+        <ul className="text-xs font-mono text-muted-foreground space-y-0.5">
+          {previewNames.map((name) => (
+            <li key={name} className="truncate">{name}</li>
+          ))}
+        </ul>
+      )}
+      <details className="text-xs text-muted-foreground">
+        <summary className="cursor-pointer">Available tokens</summary>
+        <ul className="mt-1 space-y-0.5">
+          {Object.entries(NAME_TOKENS).map(([token, help]) => (
+            <li key={token}>
+              <code>{`{${token}}`}</code> - {help}
+            </li>
+          ))}
+        </ul>
+      </details>
+    </div>
+  )
+}
+
+export default NameTemplatePanel
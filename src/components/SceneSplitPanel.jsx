@@ -0,0 +1,139 @@
+import React from 'react'
+import { Loader2, Clapperboard } from 'lucide-react'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Progress } from './ui/progress'
+import CutReviewList from './CutReviewList'
+import { formatTimestamp } from '../utils/timeUtils'
+import { sceneThresholdFor } from '../utils/ffmpegArgs'
+
+function SceneSplitPanel({
+  settings,
+  onSettingsChange,
+  detection,
+  onToggleCut,
+  onDetect,
+  isDetecting,
+  detectProgress,
+  disabled,
+}) {
+  const updateSetting = (key, fallback) => (e) => {
+    const value = parseFloat(e.target.value)
+    onSettingsChange({ ...settings, [key]: Number.isFinite(value) ? value : fallback })
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-1">
+        <div className="flex justify-between text-xs">
+          <label htmlFor="scene-sensitivity" className="font-medium">
+            Sensitivity
+          </label>
+          <span className="text-muted-foreground">
+            {settings.sensitivity}% (scene score &gt; {sceneThresholdFor(settings.sensitivity)})
+          </span>
+        </div>
+        <input
+          id="scene-sensitivity"
+          type="range"
+          min="0"
+          max="100"
+          value={settings.sensitivity}
+          onChange={updateSetting('sensitivity', 50)}
+          disabled={disabled}
+          className="w-full accent-primary"
+        />
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <div className="space-y-1">
+          <label htmlFor="scene-min" className="text-xs font-medium">
+            Min segment (seconds)
+          </label>
+          <Input
+            id="scene-min"
+            type="number"
+            min="0"
+            value={settings.minLength}
+            onChange={updateSetting('minLength', 5)}
+            disabled={disabled}
+          />
+        </div>
+        <div className="space-y-1">
+          <label htmlFor="scene-max" className="text-xs font-medium">
+            Max segment (seconds)
+          </label>
+          <Input
+            id="scene-max"
+            type="number"
+            min="1"
+            value={settings.maxLength}
+            onChange={updateSetting('maxLength', 300)}
+            disabled={disabled}
+          />
+        </div>
+      </div>
+
+      <Button
+        type="button"
+        variant="outline"
+        onClick={onDetect}
+        disabled={disabled || isDetecting}
+        className="w-full"
+      >
+        {isDetecting ? (
+          <>
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            Detecting scenes...
+          </>
+        ) : (
+          <>
+            <Clapperboard className="mr-2 h-4 w-4" />
+            Detect Scenes
+          </>
+        )}
+      </Button>
+
+      {isDetecting && <Progress value={detectProgress} className="h-2" />}
+
+      {detection && detection.cuts.length === 0 && (
+        <p className="text-sm text-muted-foreground">
+          No usable scene changes were found, so the file will be kept in one piece.
+        </p>
+      )}
+
+      {detection && detection.cuts.length > 0 && (
+        <CutReviewList
+          cuts={detection.cuts}
+          onToggleCut={onToggleCut}
+          disabled={disabled}
+          describeCut={(cut) => (cut.forced
+            ? 'no scene change found - cut at max length'
+            : `scene change${cut.score !== null ? ` (score ${cut.score.toFixed(2)})` : ''}`)}
+        />
+      )}
+
+      {detection && detection.skipped.length > 0 && (
+        <details className="text-xs">
+          <summary className="cursor-pointer text-muted-foreground">
+            {detection.skipped.length} detected scene change(s) not used
+          </summary>
+          <ul className="mt-2 space-y-1">
+            {detection.skipped.map((scene) => (
+              <li key={scene.time}>
+                <span className="font-mono">{formatTimestamp(scene.time)}</span>{' '}
+                <span className="text-muted-foreground">
+                  {scene.reason === 'merged'
+                    ? 'merged into the previous segment (shorter than the minimum length)'
+                    : 'dropped (too close to the end of the file)'}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  )
+}
+
+export default SceneSplitPanel
@@ -0,0 +1,71 @@
+import React from 'react'
+import { formatTimestamp } from '../utils/timeUtils'
+import { cn } from '../lib/utils'
+
+/**
+ * Formats an integrated loudness value, e.g. -23.04 -> "-23.0 LUFS"
+ * @param {number|null} value - Loudness in LUFS
+ * @returns {string}
+ */
+function formatLufs(value) {
+  return value === null ? 'n/a' : `${value.toFixed(1)} LUFS`
+}
+
+function SegmentReport({ segments, targetLength, maxBytes }) {
+  if (!segments || segments.length === 0) return null
+  const showLoudness = segments.some((segment) => segment.loudness)
+
+  return (
+    <div className="space-y-2">
+      <h3 className="text-sm font-medium">Segments produced</h3>
+      <div className="max-h-64 overflow-auto rounded-lg border">
+        <table className="w-full text-xs">
+          <thead className="bg-muted/50 text-muted-foreground">
+            <tr>
+              <th className="px-3 py-2 text-left font-medium">#</th>
+              <th className="px-3 py-2 text-left font-medium">File</th>
+              <th className="px-3 py-2 text-right font-medium">Start</th>
+              <th className="px-3 py-2 text-right font-medium">End</th>
+              <th className="px-3 py-2 text-right font-medium">Length</th>
+              <th className="px-3 py-2 text-right font-medium">Size</th>
+              {showLoudness && <th className="px-3 py-2 text-right font-medium">Loudness</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {segments.map((segment, index) => {
+              const length = segment.end - segment.start
+              // The last segment is naturally shorter, so only flag drift on the others
+              const drifted = targetLength && index < segments.length - 1 &&
+                Math.abs(length - targetLength) > 0.5
+              const oversized = maxBytes && segment.size > maxBytes
+              return (
+                <tr key={segment.fileName} className="border-t">
+                  <td className="px-3 py-1.5">{index + 1}</td>
+                  <td className="px-3 py-1.5 break-all">{segment.fileName}</td>
+                  <td className="px-3 py-1.5 text-right font-mono">{formatTimestamp(segment.start)}</td>
+                  <td className="px-3 py-1.5 text-right font-mono">{formatTimestamp(segment.end)}</td>
+                  <td className={cn('px-3 py-1.5 text-right font-mono', drifted && 'text-destructive')}>
+                    {length.toFixed(3)}s
+                  </td>
+                  <td className={cn('px-3 py-1.5 text-right font-mono', oversized && 'text-destructive')}>
+                    {(segment.size / (1024 * 1024)).toFixed(2)} MB
+                  </td>
+                  {showLoudness && (
+                    <td
+                      className="px-3 py-1.5 text-right font-mono"
+                      title={segment.loudness && `Measured before normalizing: ${formatLufs(segment.loudness.input.integrated)}`}
+                    >
+                      {segment.loudness ? formatLufs(segment.loudness.output.integrated) : ''}
+                    </td>
+                  )}
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default SegmentReport
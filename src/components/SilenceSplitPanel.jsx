@@ -0,0 +1,111 @@
+import React from 'react'
+import { Loader2, AudioLines } from 'lucide-react'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Progress } from './ui/progress'
+import CutReviewList from './CutReviewList'
+
+function SilenceSplitPanel({
+  settings,
+  onSettingsChange,
+  cuts,
+  onToggleCut,
+  onDetect,
+  isDetecting,
+  detectProgress,
+  disabled,
+}) {
+  const updateSetting = (key, parse, fallback) => (e) => {
+    const value = parse(e.target.value)
+    onSettingsChange({ ...settings, [key]: Number.isFinite(value) ? value : fallback })
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+        <div className="space-y-1">
+          <label htmlFor="silence-noise" className="text-xs font-medium">
+            Silence threshold (dB)
+          </label>
+          <Input
+            id="silence-noise"
+            type="number"
+            max="0"
+            min="-90"
+            value={settings.noiseDb}
+            onChange={updateSetting('noiseDb', parseFloat, -30)}
+            disabled={disabled}
+          />
+        </div>
+        <div className="space-y-1">
+          <label htmlFor="silence-min" className="text-xs font-medium">
+            Min silence (seconds)
+          </label>
+          <Input
+            id="silence-min"
+            type="number"
+            min="0.1"
+            step="0.1"
+            value={settings.minSilence}
+            onChange={updateSetting('minSilence', parseFloat, 0.5)}
+            disabled={disabled}
+          />
+        </div>
+        <div className="space-y-1">
+          <label htmlFor="silence-max" className="text-xs font-medium">
+            Max segment (seconds)
+          </label>
+          <Input
+            id="silence-max"
+            type="number"
+            min="1"
+            value={settings.maxLength}
+            onChange={updateSetting('maxLength', (v) => parseInt(v, 10), 300)}
+            disabled={disabled}
+          />
+        </div>
+      </div>
+
+      <Button
+        type="button"
+        variant="outline"
+        onClick={onDetect}
+        disabled={disabled || isDetecting}
+        className="w-full"
+      >
+        {isDetecting ? (
+          <>
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            Detecting silence...
+          </>
+        ) : (
+          <>
+            <AudioLines className="mr-2 h-4 w-4" />
+            Detect Silence
+          </>
+        )}
+      </Button>
+
+      {isDetecting && <Progress value={detectProgress} className="h-2" />}
+
+      {cuts && cuts.length === 0 && (
+        <p className="text-sm text-muted-foreground">
+          The file is no longer than the maximum segment length, so no cuts are needed.
+        </p>
+      )}
+
+      {cuts && cuts.length > 0 && (
+        <CutReviewList
+          cuts={cuts}
+          onToggleCut={onToggleCut}
+          disabled={disabled}
+          describeCut={(cut) => (cut.silence
+            ? `in ${(cut.silence.end - cut.silence.start).toFixed(2)}s of silence`
+            : 'no silence found - cut at max length')}
+        />
+      )}
+    </div>
+  )
+}
+
+export default SilenceSplitPanel
@@ -0,0 +1,206 @@
+import React, { useState, useRef, useEffect } from 'react'
+import { Loader2, AudioWaveform } from 'lucide-react'
+import { Button } from './ui/button'
+import { formatTimestamp } from '../utils/timeUtils'
+import { cn } from '../lib/utils'
+
+// Keep dragged cuts at least this far (in seconds) from their neighbours and the file edges
+const MIN_GAP = 0.1
+
+function TimelinePreview({
+  file,
+  duration,
+  hasVideo,
+  segments,
+  cutPoints,
+  onCutsChange,
+  peaks,
+  thumbnails,
+  onLoad,
+  isLoading,
+  disabled,
+}) {
+  const [sourceUrl, setSourceUrl] = useState(null)
+  const [dragging, setDragging] = useState(null)
+  const [activeSegment, setActiveSegment] = useState(null)
+  const [playbackError, setPlaybackError] = useState('')
+  const trackRef = useRef(null)
+  const mediaRef = useRef(null)
+
+  // Segments are previewed straight from the source file, so nothing has to be exported first
+  useEffect(() => {
+    const url = URL.createObjectURL(file)
+    setSourceUrl(url)
+    setActiveSegment(null)
+    setPlaybackError('')
+    return () => URL.revokeObjectURL(url)
+  }, [file])
+
+  const toPercent = (time) => `${(time / duration) * 100}%`
+
+  const timeAtPointer = (e) => {
+    const rect = trackRef.current.getBoundingClientRect()
+    return ((e.clientX - rect.left) / rect.width) * duration
+  }
+
+  const handleMarkerPointerDown = (index) => (e) => {
+    if (disabled) return
+    e.preventDefault()
+    e.stopPropagation()
+    e.currentTarget.setPointerCapture(e.pointerId)
+    setDragging({ index, time: cutPoints[index] })
+  }
+
+  const handleMarkerPointerMove = (e) => {
+    if (!dragging) return
+    const min = (dragging.index > 0 ? cutPoints[dragging.index - 1] : 0) + MIN_GAP
+    const max = (dragging.index < cutPoints.length - 1 ? cutPoints[dragging.index + 1] : duration) - MIN_GAP
+    setDragging({ ...dragging, time: Math.min(max, Math.max(min, timeAtPointer(e))) })
+  }
+
+  const handleMarkerPointerUp = () => {
+    if (!dragging) return
+    const adjusted = cutPoints.map((time, i) => (i === dragging.index ? dragging.time : time))
+    setDragging(null)
+    onCutsChange(adjusted)
+  }
+
+  const handlePreview = (index) => {
+    const media = mediaRef.current
+    if (!media) return
+    setActiveSegment(index)
+    setPlaybackError('')
+    media.currentTime = segments[index].start
+    media.play().catch((err) => {
+      setPlaybackError(`This browser can't play the file directly (${err?.message || 'unsupported format'}).`)
+    })
+  }
+
+  // Stop at the end of the segment being previewed
+  const handleTimeUpdate = () => {
+    const media = mediaRef.current
+    if (activeSegment === null || !media) return
+    if (media.currentTime >= segments[activeSegment]?.end) {
+      media.pause()
+    }
+  }
+
+  if (!peaks && !thumbnails) {
+    return (
+      <Button
+        type="button"
+        variant="outline"
+        onClick={onLoad}
+        disabled={disabled || isLoading}
+        className="w-full"
+      >
+        {isLoading ? (
+          <>
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            Building timeline...
+          </>
+        ) : (
+          <>
+            <AudioWaveform className="mr-2 h-4 w-4" />
+            Show Timeline Preview
+          </>
+        )}
+      </Button>
+    )
+  }
+
+  const MediaElement = hasVideo ? 'video' : 'audio'
+
+  return (
+    <div className="space-y-3">
+      <div
+        ref={trackRef}
+        className="relative h-20 w-full overflow-hidden rounded-lg border bg-muted/30 select-none touch-none"
+      >
+        {thumbnails && (
+          <div className="absolute inset-0 flex">
+            {thumbnails.map((url) => (
+              <img key={url} src={url} alt="" className="h-full flex-1 min-w-0 object-cover opacity-60" />
+            ))}
+          </div>
+        )}
+
+        {peaks && (
+          <svg
+            className="absolute inset-0 h-full w-full text-primary"
+            viewBox={`0 0 ${peaks.length} 100`}
+            preserveAspectRatio="none"
+          >
+            <path
+              d={peaks.map((peak, i) => `M${i + 0.5} ${50 - peak * 48}V${50 + peak * 48}`).join('')}
+              stroke="currentColor"
+              strokeWidth="0.8"
+              fill="none"
+            />
+          </svg>
+        )}
+
+        {segments.map((segment, index) => (
+          <button
+            key={`${segment.start}-${index}`}
+            type="button"
+            title={`Preview segment ${index + 1} (${formatTimestamp(segment.start)} - ${formatTimestamp(segment.end)})`}
+            onClick={() => handlePreview(index)}
+            className={cn(
+              'absolute top-0 h-full border-x border-transparent transition-colors hover:bg-primary/20',
+              index % 2 === 1 && 'bg-foreground/5',
+              activeSegment === index && 'bg-primary/25'
+            )}
+            style={{ left: toPercent(segment.start), width: toPercent(segment.end - segment.start) }}
+          />
+        ))}
+
+        {cutPoints && cutPoints.map((time, index) => {
+          const position = dragging?.index === index ? dragging.time : time
+          return (
+            <div
+              key={index}
+              role="slider"
+              aria-label={`Cut ${index + 1}`}
+              aria-valuemin={0}
+              aria-valuemax={duration}
+              aria-valuenow={position}
+              onPointerDown={handleMarkerPointerDown(index)}
+              onPointerMove={handleMarkerPointerMove}
+              onPointerUp={handleMarkerPointerUp}
+              className={cn(
+                'absolute top-0 h-full w-3 -translate-x-1/2 cursor-ew-resize',
+                disabled && 'cursor-not-allowed'
+              )}
+              style={{ left: toPercent(position) }}
+            >
+              <div className="mx-auto h-full w-0.5 bg-destructive" />
+            </div>
+          )
+        })}
+      </div>
+
+      <div className="flex justify-between text-xs text-muted-foreground">
+        <span>{dragging ? `Cut at ${formatTimestamp(dragging.time)}` : formatTimestamp(0)}</span>
+        <span>{formatTimestamp(duration)}</span>
+      </div>
+      <p className="text-xs text-muted-foreground">
+        Click a segment to preview it.
+        {cutPoints && ' Drag a red marker to move that cut - the adjusted cuts become a custom cut list.'}
+      </p>
+
+      <MediaElement
+        ref={mediaRef}
+        src={sourceUrl || undefined}
+        controls
+        preload="metadata"
+        onTimeUpdate={handleTimeUpdate}
+        onError={() => setPlaybackError("This browser can't play the file directly, so segments can't be previewed.")}
+        className={cn('w-full', hasVideo && 'max-h-64 rounded-lg bg-black')}
+      />
+      {playbackError && <p className="text-xs text-destructive">{playbackError}</p>}
+    </div>
+  )
+}
+
+export default TimelinePreview
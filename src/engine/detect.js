@@ -0,0 +1,100 @@
+import {
+  METADATA_FILE,
+  buildSilenceDetectArgs,
+  buildSceneDetectArgs,
+  sceneThresholdFor,
+  buildMetadataExportArgs,
+} from '../utils/ffmpegArgs'
+import { proposeSilenceCuts, proposeSceneCuts, checkSilenceSettings, checkSceneSettings } from '../utils/segments'
+import { parseSilenceLog, parseSceneLog } from '../utils/ffmpegLog'
+import { parseChapters } from '../utils/ffmetadata'
+import { execWithProgress, execWithLogs } from './exec'
+
+// Strategies whose cuts come from analysing each file
+export const DETECTED_STRATEGIES = ['silence', 'scenes', 'chapters']
+
+/**
+ * Proposes cuts in the silences of a file
+ * @param {FFmpeg} ffmpeg - Loaded FFmpeg instance
+ * @param {string} inputName - Input file name in the FFmpeg file system
+ * @param {number} duration - Input duration in seconds
+ * @param {{noiseDb: number, minSilence: number, maxLength: number}} settings - Silence settings
+ * @param {Object} options
+ * @param {Function} options.onProgress - Progress callback passed to execWithLogs
+ * @param {AbortSignal} options.signal - See execWithProgress
+ * @returns {Promise<ReturnType<typeof proposeSilenceCuts>>}
+ */
+export async function detectSilence(ffmpeg, inputName, duration, settings, { onProgress, signal } = {}) {
+  const { lines } = await execWithLogs(
+    ffmpeg,
+    buildSilenceDetectArgs({ input: inputName, ...settings }),
+    { duration, onProgress, signal }
+  )
+  return proposeSilenceCuts(parseSilenceLog(lines, duration), duration, settings.maxLength)
+}
+
+/**
+ * Proposes cuts at the scene changes of a video
+ * @param {FFmpeg} ffmpeg - Loaded FFmpeg instance
+ * @param {string} inputName - Input file name in the FFmpeg file system
+ * @param {number} duration - Input duration in seconds
+ * @param {{sensitivity: number, minLength: number, maxLength: number}} settings - Scene settings
+ * @param {Object} options
+ * @param {Function} options.onProgress - Progress callback passed to execWithLogs
+ * @param {AbortSignal} options.signal - See execWithProgress
+ * @returns {Promise<ReturnType<typeof proposeSceneCuts>>}
+ */
+export async function detectScenes(ffmpeg, inputName, duration, settings, { onProgress, signal } = {}) {
+  const { lines } = await execWithLogs(
+    ffmpeg,
+    buildSceneDetectArgs({ input: inputName, threshold: sceneThresholdFor(settings.sensitivity) }),
+    { duration, onProgress, signal }
+  )
+  return proposeSceneCuts(parseSceneLog(lines), duration, settings)
+}
+
+/**
+ * Reads the chapters of a file
+ * @param {FFmpeg} ffmpeg - Loaded FFmpeg instance
+ * @param {string} inputName - Input file name in the FFmpeg file system
+ * @returns {Promise<ReturnType<typeof parseChapters>>}
+ */
+export async function readChapters(ffmpeg, inputName) {
+  await execWithProgress(ffmpeg, buildMetadataExportArgs({ input: inputName }))
+  try {
+    return parseChapters(await ffmpeg.readFile(METADATA_FILE, 'utf8'))
+  } finally {
+    await ffmpeg.deleteFile(METADATA_FILE).catch(() => {})
+  }
+}
+
+/**
+ * Detects cuts or chapters for a file nobody reviewed, keeping every proposal
+ * @param {FFmpeg} ffmpeg - Loaded FFmpeg instance
+ * @param {string} inputName - Input file name in the FFmpeg file system
+ * @param {Object} info - Probed media info
+ * @param {Object} split - Split options, see SliceOptions
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - See execWithProgress
+ * @returns {Promise<{cutPoints: number[]|null, chapters: Array|null}>}
+ */
+export async function detectCuts(ffmpeg, inputName, info, split, { signal } = {}) {
+  if (split.strategy === 'chapters') {
+    return { cutPoints: null, chapters: await readChapters(ffmpeg, inputName) }
+  }
+  if (!info.duration) {
+    throw new Error('The duration of this file is unknown, so cuts could not be detected.')
+  }
+  if (split.strategy === 'silence') {
+    if (!info.audio) throw new Error('This file has no audio stream to detect silence in.')
+    const settingsError = checkSilenceSettings(split.silence)
+    if (settingsError) throw new Error(settingsError)
+    const cuts = await detectSilence(ffmpeg, inputName, info.duration, split.silence, { signal })
+    return { cutPoints: cuts.map((cut) => cut.time), chapters: null }
+  }
+  if (!info.video) throw new Error('This file has no video stream to detect scene changes in.')
+  const settingsError = checkSceneSettings(split.scenes)
+  if (settingsError) throw new Error(settingsError)
+  const { cuts } = await detectScenes(ffmpeg, inputName, info.duration, split.scenes, { signal })
+  return { cutPoints: cuts.map((cut) => cut.time), chapters: null }
+}
@@ -0,0 +1,120 @@
+import { parseProbeOutput, parseProgressTime, parseSegmentOpened } from '../utils/ffmpegLog'
+import { describeFFmpegFailure } from '../utils/ffmpegErrors'
+
+// Log lines kept per command to explain a failure
+const FAILURE_LOG_LINES = 100
+
+/**
+ * Runs an FFmpeg command, reporting progress parsed from its log and progress events
+ * @param {FFmpeg} ffmpeg - Loaded FFmpeg instance
+ * @param {string[]} args - FFmpeg arguments
+ * @param {Object} options
+ * @param {number|null} options.duration - Input duration in seconds, used to compute the percentage
+ * @param {number|null} options.totalSegments - Expected number of segments, passed through to onProgress
+ * @param {(progress: {percent: number, time: number, eta: number|null, segmentsWritten: number, totalSegments: number|null}) => void} options.onProgress
+ * @param {AbortSignal} options.signal - Stops waiting for the command. The worker keeps running it, so
+ *   terminate the instance to actually stop FFmpeg.
+ * @param {boolean} options.checkExitCode - Treat a non-zero exit code as a failure
+ * @returns {Promise<number>} - FFmpeg exit code
+ * @throws {Error} - If the command fails, explaining why where the log shows it (see describeFFmpegFailure)
+ */
+export async function execWithProgress(ffmpeg, args, {
+  duration = null,
+  totalSegments = null,
+  onProgress,
+  signal,
+  checkExitCode = true,
+} = {}) {
+  const startedAt = Date.now()
+  const recentLines = []
+  let fraction = 0
+  let position = 0
+  let segmentsOpened = 0
+
+  const report = (segmentsWritten) => {
+    const elapsed = (Date.now() - startedAt) / 1000
+    // Too early estimates swing wildly, so wait for at least 1% before showing one
+    const eta = fraction >= 0.01 && fraction < 1 ? elapsed * (1 - fraction) / fraction : null
+    onProgress?.({ percent: fraction * 100, time: position, eta, segmentsWritten, totalSegments })
+  }
+
+  const handleLog = ({ message }) => {
+    recentLines.push(message)
+    if (recentLines.length > FAILURE_LOG_LINES) recentLines.shift()
+
+    const time = parseProgressTime(message)
+    if (time !== null) {
+      position = time
+      if (duration) fraction = Math.min(1, time / duration)
+    } else if (parseSegmentOpened(message)) {
+      segmentsOpened++
+    } else {
+      return
+    }
+    // A segment is only complete once the muxer has moved on to the next one
+    report(Math.max(0, segmentsOpened - 1))
+  }
+  // The core's own estimate is only used when we couldn't probe the duration ourselves
+  const handleProgress = ({ progress }) => {
+    if (duration || !(progress >= 0 && progress <= 1)) return
+    fraction = progress
+    report(Math.max(0, segmentsOpened - 1))
+  }
+
+  ffmpeg.on('log', handleLog)
+  ffmpeg.on('progress', handleProgress)
+  try {
+    let exitCode
+    try {
+      exitCode = await ffmpeg.exec(args, -1, { signal })
+    } catch (err) {
+      if (signal?.aborted) throw err
+      // Crashes (e.g. running out of memory) reject instead of returning an exit code
+      throw new Error(describeFFmpegFailure({ lines: recentLines, error: err }), { cause: err })
+    }
+    if (checkExitCode && exitCode !== 0) {
+      throw new Error(describeFFmpegFailure({ exitCode, lines: recentLines }))
+    }
+    fraction = 1
+    report(segmentsOpened)
+    return exitCode
+  } finally {
+    ffmpeg.off('log', handleLog)
+    ffmpeg.off('progress', handleProgress)
+  }
+}
+
+/**
+ * Runs an FFmpeg command like execWithProgress, also collecting every log line it prints
+ * @param {FFmpeg} ffmpeg - Loaded FFmpeg instance
+ * @param {string[]} args - FFmpeg arguments
+ * @param {Object} options - Same as execWithProgress
+ * @returns {Promise<{exitCode: number, lines: string[]}>}
+ */
+export async function execWithLogs(ffmpeg, args, options) {
+  const lines = []
+  const handleLog = ({ message }) => {
+    lines.push(message)
+  }
+  ffmpeg.on('log', handleLog)
+  try {
+    const exitCode = await execWithProgress(ffmpeg, args, options)
+    return { exitCode, lines }
+  } finally {
+    ffmpeg.off('log', handleLog)
+  }
+}
+
+/**
+ * Reads container and stream information for a file in the FFmpeg file system
+ * @param {FFmpeg} ffmpeg - Loaded FFmpeg instance
+ * @param {string} inputName - Path of the input file
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - See execWithProgress
+ * @returns {Promise<ReturnType<typeof parseProbeOutput>>} - Parsed media info
+ */
+export async function probeMedia(ffmpeg, inputName, { signal } = {}) {
+  // Without an output file FFmpeg prints the input info and exits non-zero, which is expected here
+  const { lines } = await execWithLogs(ffmpeg, ['-hide_banner', '-i', inputName], { signal, checkExitCode: false })
+  return parseProbeOutput(lines)
+}
@@ -0,0 +1,5 @@
+// Headless slicing engine: everything needed to slice media with an FFmpeg instance, without React or the DOM
+export { sliceMedia, planSlices } from './sliceMedia'
+export { DETECTED_STRATEGIES, detectSilence, detectScenes, readChapters, detectCuts } from './detect'
+export { execWithProgress, execWithLogs, probeMedia } from './exec'
+export { openInputFile, withInputFile, cleanupWorkingFiles } from './inputFiles'
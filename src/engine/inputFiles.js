@@ -0,0 +1,86 @@
+import { sanitizeFilename } from '../utils/fileUtils'
+
+// FFFSType.WORKERFS; @ffmpeg/ffmpeg's Node entry point is empty, so importing it would break headless use
+const WORKERFS = 'WORKERFS'
+
+// Inputs are mounted (or copied) into directories named input_1, input_2, ..., never next to the outputs
+const INPUT_MOUNT_PREFIX = 'input_'
+let mountCount = 0
+
+/**
+ * Makes a file readable by FFmpeg. It is mounted with WORKERFS, so FFmpeg reads it lazily from the
+ * File instead of needing a copy in memory; if mounting fails it is copied into the in-memory file system.
+ * @param {FFmpeg} ffmpeg - FFmpeg instance
+ * @param {File} file - File to open
+ * @returns {Promise<{inputName: string, mounted: boolean, release: () => Promise<void>}>} - Path to pass to
+ *   FFmpeg, whether the file was mounted, and a function that unmounts or deletes it again
+ */
+export async function openInputFile(ffmpeg, file) {
+  const name = sanitizeFilename(file.name)
+  const dir = `/${INPUT_MOUNT_PREFIX}${++mountCount}`
+  try {
+    await ffmpeg.createDir(dir)
+    await ffmpeg.mount(WORKERFS, { blobs: [{ name, data: file }] }, dir)
+    return {
+      inputName: `${dir}/${name}`,
+      mounted: true,
+      release: async () => {
+        await ffmpeg.unmount(dir).catch(() => {})
+        await ffmpeg.deleteDir(dir).catch(() => {})
+      },
+    }
+  } catch (err) {
+    console.warn('Could not mount the input file, copying it into memory instead:', err)
+    // The copy stays in the input directory, so a name like out_001.mp4 isn't collected as a segment
+    await ffmpeg.createDir(dir).catch(() => {})
+    const inputName = `${dir}/${name}`
+    // FFmpeg.wasm requires Uint8Array, not ArrayBuffer
+    await ffmpeg.writeFile(inputName, new Uint8Array(await file.arrayBuffer()))
+    return {
+      inputName,
+      mounted: false,
+      release: async () => {
+        await ffmpeg.deleteFile(inputName).catch(() => {})
+        await ffmpeg.deleteDir(dir).catch(() => {})
+      },
+    }
+  }
+}
+
+/**
+ * Makes a file readable by FFmpeg for the duration of a callback
+ * @param {FFmpeg} ffmpeg - FFmpeg instance
+ * @param {File} file - File to open
+ * @param {(inputName: string) => Promise<T>} callback - Work to do with the file
+ * @returns {Promise<T>} - Result of the callback
+ * @template T
+ */
+export async function withInputFile(ffmpeg, file, callback) {
+  const { inputName, release } = await openInputFile(ffmpeg, file)
+  try {
+    return await callback(inputName)
+  } finally {
+    await release()
+  }
+}
+
+/**
+ * Removes the mounted or copied inputs and any output segments from FFmpeg's virtual file system
+ * @param {FFmpeg} ffmpeg - FFmpeg instance
+ */
+export async function cleanupWorkingFiles(ffmpeg) {
+  const files = await ffmpeg.listDir('/')
+  for (const f of files) {
+    if (f.isDir && f.name.startsWith(INPUT_MOUNT_PREFIX)) {
+      const dir = `/${f.name}`
+      await ffmpeg.unmount(dir).catch(() => {})
+      // A copied input has to go before its directory can be removed
+      for (const copied of await ffmpeg.listDir(dir).catch(() => [])) {
+        if (!copied.isDir) await ffmpeg.deleteFile(`${dir}/${copied.name}`).catch(() => {})
+      }
+      await ffmpeg.deleteDir(dir).catch(() => {})
+    } else if (f.name.startsWith('out_')) {
+      await ffmpeg.deleteFile(f.name).catch(() => {})
+    }
+  }
+}
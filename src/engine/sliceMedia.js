@@ -0,0 +1,446 @@
+import { sanitizeFilename, getFileExtension, getBaseName, makeUniqueFilename } from '../utils/fileUtils'
+import {
+  SEGMENT_LIST_FILE,
+  buildSegmentArgs,
+  buildRangeArgs,
+  buildLoudnessMeasureArgs,
+  segmentOutputName,
+  shouldReencode,
+} from '../utils/ffmpegArgs'
+import { AUDIO_LAYOUTS, resolveOutputFormat } from '../utils/outputFormats'
+import { loudnormFilter, buildLoudnessCsv } from '../utils/loudness'
+import { parseSegmentList, planSegments, estimateBytesPerSecond, planToSegments } from '../utils/segments'
+import { parseLoudnormLog } from '../utils/ffmpegLog'
+import { failureMessage } from '../utils/ffmpegErrors'
+import { DEFAULT_NAME_TEMPLATE, renderSegmentName } from '../utils/naming'
+import { MANIFEST_FILES, hashFile, segmentCodecs, buildManifest, buildManifestCsv, buildEdl } from '../utils/manifest'
+import { detectMediaFormat } from '../utils/mediaFormat'
+import { getMemoryBudget, planMemoryUse, formatMemorySize } from '../utils/memoryBudget'
+import { execWithProgress, execWithLogs, probeMedia } from './exec'
+import { openInputFile, cleanupWorkingFiles } from './inputFiles'
+import { DETECTED_STRATEGIES, detectCuts } from './detect'
+
+/**
+ * @typedef {Object} SplitOptions
+ * @property {'duration'|'count'|'size'|'cuts'|'silence'|'scenes'|'chapters'} strategy - See SPLIT_STRATEGIES
+ * @property {number} [segmentLength] - Segment length in seconds (duration strategy)
+ * @property {number} [segmentCount] - Number of equal parts (count strategy)
+ * @property {number} [maxSizeMB] - Maximum size of each segment in MB (size strategy)
+ * @property {ReturnType<typeof import('../utils/segments').parseCutList>} [cutList] - Parsed cut list (cuts strategy)
+ * @property {number[]|null} [cutPoints] - Reviewed cut times (silence and scenes strategies); detected with
+ *   the settings below and all kept when not given
+ * @property {Array<{start: number, end: number, title: string}>|null} [chapters] - Chapters to export (chapters
+ *   strategy); read from the file and all kept when not given
+ * @property {{noiseDb: number, minSilence: number, maxLength: number}} [silence] - Silence detection settings
+ * @property {{sensitivity: number, minLength: number, maxLength: number}} [scenes] - Scene detection settings
+ */
+
+/**
+ * @typedef {Object} SliceOptions
+ * @property {SplitOptions} split - Where to cut
+ * @property {Object|null} [info] - Media info already probed for this input, see parseProbeOutput
+ * @property {'fast'|'accurate'} [mode] - Slicing mode, see SLICE_MODES
+ * @property {string} [format] - Key of OUTPUT_FORMATS, or "original" to keep the source format
+ * @property {'high'|'medium'|'low'} [quality] - Quality preset used when re-encoding
+ * @property {{audioOnly: boolean, layout: string, normalize: boolean}} [audio] - Audio options; layout is a
+ *   key of AUDIO_LAYOUTS
+ * @property {string} [nameTemplate] - Segment name template, see renderSegmentName
+ * @property {boolean} [includeEdl] - Add a CMX3600 EDL to the attachments
+ * @property {number} [memoryBudget] - Bytes a job may use, see getMemoryBudget
+ */
+
+/**
+ * @typedef {Object} SliceSegment
+ * @property {number} index - Zero-based position in the output
+ * @property {string} fileName - Unique, sanitized file name
+ * @property {number|null} start - Start in the source in seconds, if known
+ * @property {number|null} end - End in the source in seconds, if known
+ * @property {number} size - Size in bytes
+ * @property {{input: Object, output: Object}|null} loudness - Loudness before and after normalizing
+ * @property {Uint8Array} [data] - Segment data, only kept when no onSegment callback was given
+ */
+
+/**
+ * Works out the cut plan for a file
+ * @param {Blob|null} input - Source file, used to estimate its data rate
+ * @param {Object|null} info - Probed media info
+ * @param {SplitOptions} split - Where to cut
+ * @returns {ReturnType<typeof planSegments>}
+ * @throws {Error} - If the split options don't work for this file, see planSegments
+ */
+export function planSlices(input, info, split) {
+  return planSegments({
+    strategy: split.strategy,
+    duration: info?.duration ?? null,
+    segmentLength: split.segmentLength,
+    segmentCount: split.segmentCount,
+    maxSizeMB: split.maxSizeMB,
+    bytesPerSecond: input ? estimateBytesPerSecond(input.size, info) : null,
+    cutList: split.cutList,
+    cutPoints: split.cutPoints ?? null,
+    chapters: split.chapters ?? null,
+  })
+}
+
+/**
+ * Slices one file into segments. Works with any loaded FFmpeg instance and doesn't touch the DOM,
+ * so it can run outside the MediaSlicer component.
+ * @param {FFmpeg} ffmpeg - Loaded FFmpeg instance
+ * @param {File} input - Source file
+ * @param {SliceOptions} options - What to produce
+ * @param {Object} callbacks
+ * @param {(percent: number) => void} [callbacks.onProgress] - Progress of this file, 0-100
+ * @param {(status: string) => void} [callbacks.onStatus] - Current step
+ * @param {(detail: Object|null) => void} [callbacks.onDetail] - Segments written and ETA while slicing
+ * @param {(name: string, data: Uint8Array) => Promise<void>} [callbacks.onSegment] - Takes each finished
+ *   segment, which is deleted from the FFmpeg file system once this resolves. Without it the data is kept
+ *   in the returned segments.
+ * @param {AbortSignal} [callbacks.signal] - Stops slicing. FFmpeg can't be interrupted, so a running command
+ *   finishes in the worker unless the instance is terminated.
+ * @returns {Promise<{info: Object, segments: SliceSegment[], oversized: string[], warnings: string[],
+ *   attachments: Array<{name: string, content: string}>, manifest: ReturnType<typeof buildManifest>}>}
+ *   - oversized lists segments over the size strategy's limit; warnings are notes for the user, e.g. when
+ *   the memory estimate is over budget; attachments are the manifest and report files to save next to
+ *   the segments
+ */
+export async function sliceMedia(ffmpeg, input, options, { onProgress, onStatus, onDetail, onSegment, signal } = {}) {
+  const {
+    split,
+    mode = 'fast',
+    format = 'original',
+    quality = 'medium',
+    audio: audioSettings = { audioOnly: false, layout: 'source', normalize: false },
+    nameTemplate = DEFAULT_NAME_TEMPLATE,
+    includeEdl = false,
+    memoryBudget = getMemoryBudget().bytes,
+  } = options
+  const progress = (percent) => onProgress?.(percent)
+  const status = (text) => onStatus?.(text)
+  const detail = (value) => onDetail?.(value)
+  const checkAborted = () => signal?.throwIfAborted()
+
+  const sanitized = sanitizeFilename(input.name)
+  const baseName = getBaseName(sanitized)
+
+  checkAborted()
+  // Go by the content rather than the name, so a misnamed file is still written in its real container
+  const sourceFormat = await detectMediaFormat(input).catch(() => null)
+  const ext = sourceFormat?.extension ?? getFileExtension(sanitized)
+  // Mount the input so FFmpeg reads it lazily (released by cleanupWorkingFiles)
+  status('Loading file into FFmpeg...')
+  const { inputName, mounted } = await openInputFile(ffmpeg, input)
+  progress(5)
+
+  try {
+    status('Reading media info...')
+    const info = options.info || await probeMedia(ffmpeg, inputName, { signal })
+    const { duration } = info
+    checkAborted()
+
+    let target = split
+    const detectedInput = split.strategy === 'chapters' ? split.chapters : split.cutPoints
+    if (DETECTED_STRATEGIES.includes(split.strategy) && !detectedInput) {
+      status('Detecting cuts...')
+      target = { ...split, ...await detectCuts(ffmpeg, inputName, info, split, { signal }) }
+    }
+    const plan = planSlices(input, info, target)
+    const totalSegments = plan.expectedSegments
+    progress(10)
+
+    // Keep the source container unless a conversion was picked
+    const output = resolveOutputFormat(ext, format, { audioOnly: audioSettings.audioOnly })
+    const outputExt = output.ext
+
+    const layout = AUDIO_LAYOUTS[audioSettings.layout]
+    const { normalize } = audioSettings
+    if (normalize && (!info.audio || !duration)) {
+      throw new Error("Loudness normalization needs an audio stream and a known duration, which this file doesn't report.")
+    }
+    const audio = {
+      channels: layout.channels,
+      // loudnorm works at 192 kHz internally, so always resample its output
+      sampleRate: layout.sampleRate || (normalize ? info.audio.sampleRate || 48000 : null),
+      filter: null,
+    }
+    // Large files are cut one segment at a time, exporting each before the next is made
+    const memory = planMemoryUse(input.size, totalSegments, memoryBudget)
+    const chunked = mounted && memory.chunked && Boolean(duration)
+    const warnings = []
+    if (memory.overBudget) {
+      warnings.push(`Estimated memory use of ${formatMemorySize(memory.estimate)} exceeded the budget of ` +
+        `${formatMemorySize(memoryBudget)}.`)
+    }
+
+    // Normalizing measures every segment on its own, so each one is extracted separately
+    const ranges = plan.ranges || (normalize || chunked ? planToSegments(plan, duration) : null)
+    // A stream-copied range starts at the keyframe before its start, where the segment muxer cuts at the one after
+    const copiesRanges = ranges && !plan.ranges && !shouldReencode(mode, output, audio)
+    if (chunked && copiesRanges) {
+      warnings.push('To save memory the segments were cut one at a time, so in Fast mode each one starts at the ' +
+        'keyframe before its cut rather than the one after. Use Accurate mode for exact cuts.')
+    }
+    const loudnessByName = new Map()
+    // Every FFmpeg command that went into each output, for the manifest
+    const argsByName = new Map()
+    let segmentArgs = null
+
+    const segments = []
+    const manifestSegments = []
+    const usedNames = new Set()
+    const oversized = []
+    const plannedSegments = duration ? planToSegments(plan, duration) : []
+    const startedAt = new Date()
+
+    /**
+     * Reads a finished segment back, hands it over and frees FFmpeg's copy
+     * @param {string} outputName - Name the segment was written under
+     * @param {number} index - Segment index, used for numbering and labels
+     * @param {{start: number, end: number}|undefined} times - Where the segment starts and ends in the source
+     */
+    const exportSegment = async (outputName, index, times) => {
+      const data = await ffmpeg.readFile(outputName)
+      // Name after the actual boundaries where known, the planned ones otherwise
+      const bounds = times || plannedSegments[index]
+      const fileName = makeUniqueFilename(renderSegmentName(nameTemplate, {
+        name: baseName,
+        index,
+        count: totalSegments,
+        start: bounds?.start ?? null,
+        end: bounds?.end ?? null,
+        label: plan.labels?.[index] || null,
+        date: startedAt,
+      }, outputExt), usedNames)
+      if (onSegment) {
+        await onSegment(fileName, data)
+      }
+      // The data has been handed over (or is kept below), so free FFmpeg's copy straight away
+      await ffmpeg.deleteFile(outputName).catch(() => {})
+
+      const segment = {
+        index,
+        fileName,
+        start: times?.start ?? null,
+        end: times?.end ?? null,
+        size: data.length,
+        loudness: loudnessByName.get(outputName) || null,
+      }
+      segments.push(onSegment ? segment : { ...segment, data })
+      manifestSegments.push({ ...segment, ffmpegArgs: argsByName.get(outputName) || [segmentArgs] })
+      if (plan.maxBytes && data.length > plan.maxBytes) {
+        oversized.push(fileName)
+      }
+    }
+
+    // Requested ranges, clamped to the file
+    const rangeTimes = ranges?.map(({ start, end }, i) => ({
+      name: segmentOutputName(i, outputExt),
+      start,
+      end: duration ? Math.min(end, duration) : end,
+    }))
+
+    status('Slicing media file...')
+
+    // Assume video when probing failed so accurate mode still re-encodes it
+    const hasVideo = info.video !== null || !info.audio
+
+    // Fast mode uses -c copy (no re-encoding); accurate mode and conversions re-encode with forced keyframes
+    // -reset_timestamps ensures proper playback
+    try {
+      if (ranges) {
+        // Ranges may overlap or skip parts of the source, so each one is extracted separately
+        for (let i = 0; i < ranges.length; i++) {
+          checkAborted()
+          const { start, end } = ranges[i]
+          const name = segmentOutputName(i, outputExt)
+
+          // Each range is one pass, or a measuring pass plus a normalizing pass
+          const reportRange = (offset, share) => (p) => {
+            const done = offset + share * p.percent / 100
+            const overall = (i + done) / ranges.length
+            // Slicing covers 10-80% of the overall progress
+            progress(10 + overall * 70)
+            detail({
+              ...p,
+              percent: overall * 100,
+              // Per-range ETAs would jump around, so only show one for the last pass
+              eta: i === ranges.length - 1 && offset + share >= 1 ? p.eta : null,
+              segmentsWritten: i + (done >= 1 ? 1 : 0),
+              totalSegments,
+            })
+          }
+
+          const commands = []
+          let measured = null
+          if (normalize) {
+            status(`Measuring loudness of segment ${i + 1} of ${ranges.length}...`)
+            const measureArgs = buildLoudnessMeasureArgs({ input: inputName, start, end })
+            commands.push(measureArgs)
+            const { lines } = await execWithLogs(ffmpeg, measureArgs, {
+              duration: end - start,
+              onProgress: reportRange(0, 0.5),
+              signal,
+            })
+            measured = parseLoudnormLog(lines)
+            status(`Normalizing segment ${i + 1} of ${ranges.length}...`)
+          }
+
+          const rangeArgs = buildRangeArgs({
+            input: inputName,
+            start,
+            end,
+            outputName: name,
+            output,
+            mode,
+            quality,
+            hasVideo,
+            audio: normalize ? { ...audio, filter: loudnormFilter(measured) } : audio,
+          })
+          commands.push(rangeArgs)
+          argsByName.set(name, commands)
+          const { lines } = await execWithLogs(ffmpeg, rangeArgs, {
+            duration: end - start,
+            onProgress: normalize ? reportRange(0.5, 0.5) : reportRange(0, 1),
+            signal,
+          })
+
+          if (normalize) {
+            const normalized = parseLoudnormLog(lines)
+            loudnessByName.set(name, {
+              input: {
+                integrated: measured?.inputI ?? normalized?.inputI ?? null,
+                truePeak: measured?.inputTp ?? normalized?.inputTp ?? null,
+                range: measured?.inputLra ?? normalized?.inputLra ?? null,
+              },
+              output: {
+                integrated: normalized?.outputI ?? null,
+                truePeak: normalized?.outputTp ?? null,
+                range: normalized?.outputLra ?? null,
+              },
+            })
+          }
+
+          if (chunked) {
+            await exportSegment(name, i, rangeTimes[i])
+          }
+        }
+      } else {
+        segmentArgs = buildSegmentArgs({
+          input: inputName,
+          segmentLength: plan.segmentLength,
+          segmentTimes: plan.segmentTimes,
+          output,
+          mode,
+          quality,
+          hasVideo,
+          audio,
+        })
+        await execWithProgress(ffmpeg, segmentArgs, {
+          duration,
+          totalSegments,
+          onProgress: (p) => {
+            // Slicing covers 10-80% of the overall progress
+            progress(10 + p.percent * 0.7)
+            detail(p)
+          },
+          signal,
+        })
+      }
+    } catch (execErr) {
+      if (signal?.aborted) throw execErr
+      // FFmpeg exec errors might not have standard error format
+      const execErrorMessage = execErr?.message || execErr?.toString() || String(execErr) || 'FFmpeg execution failed'
+      throw new Error(`FFmpeg processing failed: ${execErrorMessage}`)
+    }
+
+    checkAborted()
+    progress(80)
+    detail(null)
+    status('Collecting segments...')
+
+    // List the output files still to export (chunked processing has exported them already)
+    const files = await ffmpeg.listDir('/')
+    const outputFiles = files
+      .filter(f => f.name.startsWith('out_') && f.name.endsWith(`.${outputExt}`))
+      .sort((a, b) => a.name.localeCompare(b.name))
+
+    if (outputFiles.length === 0 && segments.length === 0) {
+      throw new Error(`No output files were created. ${failureMessage('emptyOutput')}`)
+    }
+
+    // Actual boundaries as written by the segment muxer, or the requested ranges
+    const segmentTimes = rangeTimes || await ffmpeg.readFile(SEGMENT_LIST_FILE, 'utf8')
+      .then(parseSegmentList)
+      .catch(() => [])
+
+    progress(85)
+    if (outputFiles.length > 0) {
+      status(`Saving ${outputFiles.length} segments...`)
+    }
+
+    for (let i = 0; i < outputFiles.length; i++) {
+      checkAborted()
+      const outputFile = outputFiles[i]
+      await exportSegment(outputFile.name, i, segmentTimes.find((t) => t.name === outputFile.name))
+      progress(85 + (i + 1) / outputFiles.length * 15)
+    }
+
+    // FFmpeg only warns when it couldn't encode anything, so check the outputs themselves
+    if (segments.every((segment) => segment.size === 0)) {
+      throw new Error(`All segments are empty. ${failureMessage('emptyOutput')}`)
+    }
+
+    // Clean up FFmpeg files
+    await cleanupWorkingFiles(ffmpeg)
+
+    // Hashing reads the whole source once more, in chunks
+    status('Hashing the source file...')
+    const sha256 = await hashFile(input, { signal })
+    status('Writing manifest...')
+    const codecs = segmentCodecs({ output, reencode: shouldReencode(mode, output, audio), info })
+    const manifest = buildManifest({
+      source: {
+        fileName: input.name,
+        size: input.size,
+        sha256,
+        duration,
+        container: info.container,
+        videoCodec: info.video?.codec ?? null,
+        audioCodec: info.audio?.codec ?? null,
+        frameRate: info.video?.frameRate ?? null,
+      },
+      output: {
+        format: outputExt,
+        muxer: output.muxer,
+        videoCodec: codecs.video,
+        audioCodec: codecs.audio,
+        cutMethod: ranges ? 'ranges' : 'segments',
+      },
+      segments: manifestSegments,
+      createdAt: startedAt,
+    })
+
+    const attachments = [
+      { name: MANIFEST_FILES.json, content: JSON.stringify(manifest, null, 2) + '\n' },
+      { name: MANIFEST_FILES.csv, content: buildManifestCsv(manifest) },
+    ]
+    if (includeEdl) {
+      attachments.push({ name: MANIFEST_FILES.edl, content: buildEdl(manifest) })
+    }
+    if (normalize) {
+      attachments.push({
+        name: 'loudness.csv',
+        content: buildLoudnessCsv(segments.filter((segment) => segment.loudness && segment.start !== null)),
+      })
+    }
+
+    return { info, segments, oversized, warnings, attachments, manifest }
+  } catch (err) {
+    // After an abort the instance is usually being terminated, taking its file system with it
+    if (!signal?.aborted) {
+      await cleanupWorkingFiles(ffmpeg).catch((cleanupErr) => {
+        console.error('Cleanup error:', cleanupErr)
+      })
+    }
+    throw err
+  }
+}
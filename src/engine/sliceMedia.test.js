@@ -0,0 +1,132 @@
+import { describe, it, expect, vi } from 'vitest'
+import { sliceMedia } from './sliceMedia'
+import { parseCutList } from '../utils/segments'
+import { FakeFFmpeg } from '../test/fakeFFmpeg'
+
+const clip = () => new File([new Uint8Array(1024)], 'My Clip.mp4', { type: 'video/mp4' })
+
+/**
+ * Checks that nothing is left in the fake FFmpeg file system
+ * @param {FakeFFmpeg} ffmpeg - Fake instance
+ */
+const expectCleanedUp = (ffmpeg) => {
+  expect([...ffmpeg.files.keys()]).toEqual([])
+  expect([...ffmpeg.mounts.keys()]).toEqual([])
+}
+
+describe('sliceMedia', () => {
+  it('cuts fixed-length segments with the segment muxer', async () => {
+    const ffmpeg = new FakeFFmpeg({ duration: 60 })
+    const { segments, attachments } = await sliceMedia(ffmpeg, clip(), {
+      split: { strategy: 'duration', segmentLength: 20 },
+    })
+
+    expect(ffmpeg.commands.filter((args) => args.includes('segment'))).toHaveLength(1)
+    expect(segments.map((s) => s.fileName)).toEqual([
+      'My_Clip_segment_01.mp4',
+      'My_Clip_segment_02.mp4',
+      'My_Clip_segment_03.mp4',
+    ])
+    expect(segments.map((s) => [s.start, s.end])).toEqual([[0, 20], [20, 40], [40, 60]])
+    expect(new TextDecoder().decode(segments[1].data)).toBe('out_00001.mp4 20.000-40.000')
+    expect(attachments.map((a) => a.name)).toEqual(['manifest.json', 'manifest.csv'])
+    expect(JSON.parse(attachments[0].content).output.cutMethod).toBe('segments')
+    expectCleanedUp(ffmpeg)
+  })
+
+  it('keeps an input copied into memory apart from the segments, even if its name looks like one', async () => {
+    const ffmpeg = new FakeFFmpeg({ duration: 60, mountFails: true })
+    const input = new File([new Uint8Array(1024)], 'out_00001.mp4', { type: 'video/mp4' })
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const { segments } = await sliceMedia(ffmpeg, input, {
+      split: { strategy: 'duration', segmentLength: 20 },
+    })
+
+    expect(ffmpeg.commands[0][2]).toMatch(/^\/input_\d+\/out_00001\.mp4$/)
+    expect(segments.map((s) => [s.start, s.end])).toEqual([[0, 20], [20, 40], [40, 60]])
+    expectCleanedUp(ffmpeg)
+  })
+
+  it('extracts each range of a cut list on its own', async () => {
+    const ffmpeg = new FakeFFmpeg({ duration: 60 })
+    const onSegment = vi.fn().mockResolvedValue()
+    const { segments } = await sliceMedia(ffmpeg, clip(), {
+      split: { strategy: 'cuts', cutList: parseCutList('00:00:05-00:00:15 Intro\n00:00:30-00:01:30') },
+      mode: 'accurate',
+    }, { onSegment })
+
+    const rangeCommands = ffmpeg.commands.filter((args) => args.includes('-ss'))
+    expect(rangeCommands).toHaveLength(2)
+    expect(rangeCommands.every((args) => args.includes('libx264'))).toBe(true)
+    // The second range is clamped to the end of the file
+    expect(segments.map((s) => [s.start, s.end])).toEqual([[5, 15], [30, 60]])
+    expect(onSegment.mock.calls.map(([name]) => name)).toEqual(['Intro.mp4', 'My_Clip_segment_02.mp4'])
+    expect(segments[0].data).toBeUndefined()
+    expectCleanedUp(ffmpeg)
+  })
+
+  it('cuts one segment at a time over the memory budget and says how that changes fast-mode cuts', async () => {
+    const ffmpeg = new FakeFFmpeg({ duration: 60 })
+    const { segments, warnings, manifest } = await sliceMedia(ffmpeg, clip(), {
+      split: { strategy: 'duration', segmentLength: 20 },
+      memoryBudget: 1,
+    }, { onSegment: vi.fn().mockResolvedValue() })
+
+    expect(ffmpeg.commands.filter((args) => args.includes('segment'))).toHaveLength(0)
+    expect(segments.map((s) => [s.start, s.end])).toEqual([[0, 20], [20, 40], [40, 60]])
+    expect(manifest.output.cutMethod).toBe('ranges')
+    expect(warnings).toHaveLength(2)
+    expect(warnings[0]).toMatch(/^Estimated memory use of .* exceeded the budget/)
+    expect(warnings[1]).toMatch(/keyframe before its cut/)
+    expectCleanedUp(ffmpeg)
+  })
+
+  it('records the commands and an EDL for every segment', async () => {
+    const ffmpeg = new FakeFFmpeg({ duration: 30 })
+    const { manifest, attachments } = await sliceMedia(ffmpeg, clip(), {
+      split: { strategy: 'count', segmentCount: 2 },
+      nameTemplate: '{name}-{index:000}',
+      includeEdl: true,
+    })
+
+    expect(manifest.source.sha256).toMatch(/^[0-9a-f]{64}$/)
+    expect(manifest.segments.map((s) => s.fileName)).toEqual(['My_Clip-001.mp4', 'My_Clip-002.mp4'])
+    expect(manifest.segments[0].ffmpegArgs[0]).toContain('segment')
+    const edl = attachments.find((a) => a.name === 'segments.edl')
+    expect(edl.content).toContain('My_Clip-002.mp4')
+  })
+
+  it('cleans up and reports the error when FFmpeg fails', async () => {
+    const ffmpeg = new FakeFFmpeg({ failOn: (args) => args.includes('segment') })
+    await expect(sliceMedia(ffmpeg, clip(), {
+      split: { strategy: 'duration', segmentLength: 10 },
+    })).rejects.toThrow('FFmpeg processing failed: FFmpeg worker crashed')
+    expectCleanedUp(ffmpeg)
+  })
+
+  it('explains a non-zero exit code from the log', async () => {
+    const ffmpeg = new FakeFFmpeg({
+      errorLog: (args) => (args.includes('segment')
+        ? [
+            '[mp4 @ 0x1] Could not find tag for codec pcm_s24le in stream #1, codec not currently supported in container',
+            'Could not write header for output file #0 (incorrect codec parameters ?): Invalid argument',
+          ]
+        : null),
+    })
+    await expect(sliceMedia(ffmpeg, clip(), {
+      split: { strategy: 'duration', segmentLength: 10 },
+    })).rejects.toThrow("FFmpeg processing failed: The output container can't hold the pcm_s24le stream as it is.")
+    expectCleanedUp(ffmpeg)
+  })
+
+  it('stops before slicing when aborted', async () => {
+    const ffmpeg = new FakeFFmpeg()
+    const controller = new AbortController()
+    const promise = sliceMedia(ffmpeg, clip(), {
+      split: { strategy: 'duration', segmentLength: 10 },
+    }, { onStatus: (text) => text.startsWith('Reading') && controller.abort(), signal: controller.signal })
+
+    await expect(promise).rejects.toThrow()
+    expect(ffmpeg.commands.some((args) => args.includes('segment'))).toBe(false)
+  })
+})
@@ -0,0 +1,181 @@
+import { useState, useEffect } from 'react'
+import { detectSilence, detectScenes, readChapters, withInputFile } from '../engine'
+import { checkSilenceSettings, checkSceneSettings } from '../utils/segments'
+
+/**
+ * Flips whether a proposed cut will be used
+ * @param {Array<{accepted: boolean}>} cuts - Proposed cuts
+ * @param {number} index - Index of the cut to toggle
+ * @returns {Array<{accepted: boolean}>} - Updated cuts
+ */
+const toggleCut = (cuts, index) => cuts.map((cut, i) => (i === index ? { ...cut, accepted: !cut.accepted } : cut))
+
+/**
+ * Cuts proposed from silences or scene changes, and chapters read from the file, for the user to review
+ * before slicing. Everything found belongs to the file it was found in and is dropped when another is shown.
+ * @param {Object} options
+ * @param {import('@ffmpeg/ffmpeg').FFmpeg|null} options.ffmpeg - Loaded FFmpeg instance
+ * @param {File|null} options.file - File being reviewed
+ * @param {Object|null} options.mediaInfo - Probed details of the file
+ * @param {(error: string) => void} options.setError - Shows why detection failed, or clears it with ''
+ */
+export function useCutDetection({ ffmpeg, file, mediaInfo, setError }) {
+  const [silenceSettings, setSilenceSettings] = useState({ noiseDb: -30, minSilence: 0.5, maxLength: 300 })
+  const [silenceCuts, setSilenceCuts] = useState(null)
+  const [sceneSettings, setSceneSettings] = useState({ sensitivity: 50, minLength: 5, maxLength: 300 })
+  const [sceneDetection, setSceneDetection] = useState(null)
+  const [chapters, setChapters] = useState(null)
+  const [isReadingChapters, setIsReadingChapters] = useState(false)
+  const [isDetecting, setIsDetecting] = useState(false)
+  const [detectProgress, setDetectProgress] = useState(0)
+
+  useEffect(() => {
+    setSilenceCuts(null)
+    setSceneDetection(null)
+    setChapters(null)
+  }, [file])
+
+  /**
+   * Runs a detection pass over the file
+   * @param {(inputName: string, onProgress: Function) => Promise<T>} detect - Runs the detection
+   * @param {string} label - Name of the detection, used in error messages
+   * @returns {Promise<T|null>} - Detection result, or null if detection failed (the error is shown)
+   * @template T
+   */
+  const runDetection = async (detect, label) => {
+    setIsDetecting(true)
+    setDetectProgress(0)
+    setError('')
+    try {
+      return await withInputFile(ffmpeg, file, (inputName) => detect(
+        inputName,
+        (p) => setDetectProgress(p.percent)
+      ))
+    } catch (err) {
+      console.error(`${label} detection error:`, err)
+      setError(`${label} detection failed: ${err?.message || String(err)}`)
+      return null
+    } finally {
+      setIsDetecting(false)
+    }
+  }
+
+  const handleDetectSilence = async () => {
+    if (!file || !ffmpeg || !mediaInfo?.duration) {
+      setError('The file must be loaded and its duration known before detecting silence.')
+      return
+    }
+    if (!mediaInfo.audio) {
+      setError('This file has no audio stream to detect silence in.')
+      return
+    }
+    const settingsError = checkSilenceSettings(silenceSettings)
+    if (settingsError) {
+      setError(settingsError)
+      return
+    }
+
+    setSilenceCuts(null)
+    const proposals = await runDetection(
+      (inputName, onProgress) => detectSilence(ffmpeg, inputName, mediaInfo.duration, silenceSettings, { onProgress }),
+      'Silence'
+    )
+    if (!proposals) return
+
+    setSilenceCuts(proposals.map((cut) => ({ ...cut, accepted: true })))
+  }
+
+  const handleDetectScenes = async () => {
+    if (!file || !ffmpeg || !mediaInfo?.duration) {
+      setError('The file must be loaded and its duration known before detecting scenes.')
+      return
+    }
+    if (!mediaInfo.video) {
+      setError('This file has no video stream to detect scene changes in.')
+      return
+    }
+    const settingsError = checkSceneSettings(sceneSettings)
+    if (settingsError) {
+      setError(settingsError)
+      return
+    }
+
+    setSceneDetection(null)
+    const detection = await runDetection(
+      (inputName, onProgress) => detectScenes(ffmpeg, inputName, mediaInfo.duration, sceneSettings, { onProgress }),
+      'Scene'
+    )
+    if (!detection) return
+
+    setSceneDetection({ cuts: detection.cuts.map((cut) => ({ ...cut, accepted: true })), skipped: detection.skipped })
+  }
+
+  // Proposals were made with the old settings, so changing them discards the proposals
+  const handleSilenceSettingsChange = (settings) => {
+    setSilenceSettings(settings)
+    setSilenceCuts(null)
+  }
+
+  const handleSceneSettingsChange = (settings) => {
+    setSceneSettings(settings)
+    setSceneDetection(null)
+  }
+
+  const handleToggleSilenceCut = (index) => {
+    setSilenceCuts((cuts) => toggleCut(cuts, index))
+  }
+
+  const handleToggleSceneCut = (index) => {
+    setSceneDetection((detection) => ({ ...detection, cuts: toggleCut(detection.cuts, index) }))
+  }
+
+  const handleReadChapters = async () => {
+    if (!file || !ffmpeg) {
+      setError('Please select a file and wait for FFmpeg to load.')
+      return
+    }
+
+    setIsReadingChapters(true)
+    setError('')
+    setChapters(null)
+    try {
+      const found = await withInputFile(ffmpeg, file, (inputName) => readChapters(ffmpeg, inputName))
+      setChapters(found.map((chapter) => ({ ...chapter, selected: true })))
+    } catch (err) {
+      console.error('Chapter read error:', err)
+      setError(`Could not read chapters: ${err?.message || String(err)}`)
+    } finally {
+      setIsReadingChapters(false)
+    }
+  }
+
+  const handleToggleChapter = (index) => {
+    setChapters((current) => current.map((chapter, i) => (
+      i === index ? { ...chapter, selected: !chapter.selected } : chapter
+    )))
+  }
+
+  const handleToggleAllChapters = (selected) => {
+    setChapters((current) => current.map((chapter) => ({ ...chapter, selected })))
+  }
+
+  return {
+    silenceSettings,
+    silenceCuts,
+    sceneSettings,
+    sceneDetection,
+    chapters,
+    isDetecting,
+    detectProgress,
+    isReadingChapters,
+    handleDetectSilence,
+    handleDetectScenes,
+    handleSilenceSettingsChange,
+    handleSceneSettingsChange,
+    handleToggleSilenceCut,
+    handleToggleSceneCut,
+    handleReadChapters,
+    handleToggleChapter,
+    handleToggleAllChapters,
+  }
+}
@@ -0,0 +1,88 @@
+import { useState } from 'react'
+import { getBaseName, sanitizeFilename } from '../utils/fileUtils'
+import { openZipArchive, canSaveToFile } from '../utils/zipExport'
+import { canSaveToFolder, pickOutputFolder, openFolderOutput } from '../utils/folderExport'
+
+/**
+ * Where the segments of a run are saved: a ZIP download (one for the run or one per file) or a picked folder
+ */
+export function useExportTarget() {
+  const [saveTarget, setSaveTarget] = useState('zip')
+  const [folderCollision, setFolderCollision] = useState('rename')
+  const [batchOutput, setBatchOutput] = useState('combined')
+
+  // The folder option is only offered where the File System Access API can write folders
+  const toFolder = saveTarget === 'folder' && canSaveToFolder()
+
+  /**
+   * Opens the output shared by every file of a run. Must be called while handling the click that starts
+   * the run, as browsers only show the folder and save pickers then.
+   * @param {File[]} files - Files in the run
+   * @returns {Promise<{output: Object|null}|null>} - The folder or ZIP archive (see openZipArchive), or a null
+   *   output when every file gets its own ZIP (see openFileOutput); null if the user dismissed the picker
+   * @throws {Error} - If the folder or file can't be opened
+   */
+  const openRunOutput = async (files) => {
+    if (toFolder) {
+      try {
+        return { output: openFolderOutput(await pickOutputFolder(), { collision: folderCollision }) }
+      } catch (err) {
+        // Dismissing the folder picker just means not starting
+        if (err?.name === 'AbortError') return null
+        throw new Error(`Could not open the folder: ${err?.message || String(err)}`)
+      }
+    }
+
+    if (files.length > 1 && batchOutput === 'separate') {
+      return { output: null }
+    }
+
+    try {
+      return {
+        output: await openZipArchive(files.length === 1
+          ? `${getBaseName(sanitizeFilename(files[0].name))}_segments.zip`
+          : 'media_slicer_batch.zip'),
+      }
+    } catch (err) {
+      // Dismissing the save dialog just means not starting
+      if (err?.name === 'AbortError') return null
+      throw new Error(`Could not create the ZIP file: ${err?.message || String(err)}`)
+    }
+  }
+
+  /**
+   * Opens the ZIP archive for one file of a run saved as separate ZIPs
+   * @param {string} baseName - Sanitized name of the source file without its extension
+   * @returns {ReturnType<typeof openZipArchive>}
+   */
+  const openFileOutput = (baseName) => openZipArchive(`${baseName}_segments.zip`, { pickLocation: false })
+
+  /**
+   * Describes where the finished segments ended up
+   * @param {Object|null} output - Output from openRunOutput, null for separate ZIPs
+   * @returns {string}
+   */
+  const describeDelivery = (output) => {
+    if (toFolder) {
+      return `Segments saved to the folder "${output.folderName}".${output.skipped.length
+        ? ` Skipped ${output.skipped.length} file(s) that already existed.`
+        : ''}`
+    }
+    return output?.savesToFile ? 'ZIP file saved.' : 'Download started.'
+  }
+
+  return {
+    saveTarget,
+    setSaveTarget,
+    folderCollision,
+    setFolderCollision,
+    batchOutput,
+    setBatchOutput,
+    toFolder,
+    // Without a file to write to, the whole ZIP is collected in memory before it is downloaded
+    holdsZipInMemory: !toFolder && !canSaveToFile(),
+    openRunOutput,
+    openFileOutput,
+    describeDelivery,
+  }
+}
@@ -1,45 +1,218 @@
-import { useState, useCallback } from 'react'
+import { useState, useCallback, useRef } from 'react'
 import { FFmpeg } from '@ffmpeg/ffmpeg'
 import { toBlobURL } from '@ffmpeg/util'
+import { getCoreSources, getSingleThreadReason } from '../utils/ffmpegCore'
+import {
+  execWithProgress as runWithProgress,
+  execWithLogs as runWithLogs,
+  probeMedia as probeWith,
+} from '../engine/exec'
+
+// Log lines kept for the log panel; older lines are dropped
+const MAX_LOG_LINES = 5000
+
+/**
+ * Creates an FFmpeg instance with logging attached
+ * @param {(event: string, data: object) => void} emit - Forwards log/progress events to subscribers
+ * @returns {FFmpeg}
+ */
+function createInstance(emit) {
+  const ffmpegInstance = new FFmpeg()
+
+  // Set up logging
+  ffmpegInstance.on('log', (data) => {
+    console.log('FFmpeg:', data.message)
+    emit('log', data)
+  })
+
+  ffmpegInstance.on('progress', (data) => {
+    emit('progress', data)
+  })
+
+  // Set up error handling
+  ffmpegInstance.on('error', ({ message }) => {
+    console.error('FFmpeg error:', message)
+  })
+
+  return ffmpegInstance
+}
+
+/**
+ * Loads the FFmpeg core, trying each configured source in turn
+ * @param {(event: string, data: object) => void} emit - Event forwarder passed to createInstance
+ * @returns {Promise<{instance: FFmpeg, source: import('../utils/ffmpegCore').CoreSource}>} - Loaded instance
+ *   and where its core came from
+ */
+async function loadFromSources(emit) {
+  const failures = []
+
+  for (const source of getCoreSources()) {
+    const ffmpegInstance = createInstance(emit)
+    try {
+      await ffmpegInstance.load({
+        coreURL: await toBlobURL(source.coreURL, 'text/javascript'),
+        wasmURL: await toBlobURL(source.wasmURL, 'application/wasm'),
+        // The multi-threaded core starts its threads from this script
+        ...(source.workerURL ? { workerURL: await toBlobURL(source.workerURL, 'text/javascript') } : {}),
+      })
+      return { instance: ffmpegInstance, source }
+    } catch (err) {
+      console.warn(`Failed to load FFmpeg from ${source.label}:`, err)
+      failures.push(`${source.label}: ${err?.message || String(err)}`)
+      ffmpegInstance.terminate()
+    }
+  }
+
+  throw new Error(`Could not load the FFmpeg core (${failures.join('; ')})`)
+}
 
 export function useFFmpeg() {
   const [ffmpeg, setFFmpeg] = useState(null)
   const [isLoaded, setIsLoaded] = useState(false)
   const [isLoading, setIsLoading] = useState(false)
+  const [isRestarting, setIsRestarting] = useState(false)
+  const [error, setError] = useState(null)
+  const [isMultiThreaded, setIsMultiThreaded] = useState(false)
+  // Key of SINGLE_THREAD_REASONS while the single-threaded core is loaded
+  const [singleThreadReason, setSingleThreadReason] = useState(null)
+  // Refs keep loadFFmpeg stable so a failed load isn't retried on every render
+  const loadingRef = useRef(false)
+  const instanceRef = useRef(null)
+  const listenersRef = useRef({ log: new Set(), progress: new Set() })
+  // Kept across restarts, so the lines leading up to a crash can still be read afterwards
+  const logRef = useRef([])
+
+  const emit = useCallback((event, data) => {
+    if (event === 'log') {
+      logRef.current.push(data.message)
+      if (logRef.current.length > MAX_LOG_LINES) logRef.current.splice(0, logRef.current.length - MAX_LOG_LINES)
+    }
+    listenersRef.current[event].forEach((callback) => callback(data))
+  }, [])
+
+  /**
+   * Returns the buffered FFmpeg log
+   * @returns {string[]} - Up to MAX_LOG_LINES of the most recent lines, oldest first
+   */
+  const getLog = useCallback(() => logRef.current.slice(), [])
+
+  const clearLog = useCallback(() => {
+    logRef.current = []
+  }, [])
+
+  /**
+   * Subscribes to events from whichever instance is currently loaded
+   * @param {'log'|'progress'} event - Event name
+   * @param {Function} callback - Event handler
+   * @returns {() => void} - Unsubscribe function
+   */
+  const subscribe = useCallback((event, callback) => {
+    listenersRef.current[event].add(callback)
+    return () => listenersRef.current[event].delete(callback)
+  }, [])
 
   const loadFFmpeg = useCallback(async () => {
-    if (isLoaded || isLoading) return
+    if (instanceRef.current || loadingRef.current) return
 
+    loadingRef.current = true
     setIsLoading(true)
+    setError(null)
     try {
-      const ffmpegInstance = new FFmpeg()
-      
-      // Set up logging
-      ffmpegInstance.on('log', ({ message }) => {
-        console.log('FFmpeg:', message)
-      })
-
-      // Set up error handling
-      ffmpegInstance.on('error', ({ message }) => {
-        console.error('FFmpeg error:', message)
-      })
-
-      // Load FFmpeg with CDN URLs
-      const baseURL = 'https://unpkg.com/@ffmpeg/core@0.12.6/dist/esm'
-      await ffmpegInstance.load({
-        coreURL: await toBlobURL(`${baseURL}/ffmpeg-core.js`, 'text/javascript'),
-        wasmURL: await toBlobURL(`${baseURL}/ffmpeg-core.wasm`, 'application/wasm'),
-      })
+      const { instance: ffmpegInstance, source } = await loadFromSources(emit)
 
+      instanceRef.current = ffmpegInstance
       setFFmpeg(ffmpegInstance)
+      setIsMultiThreaded(source.multiThreaded)
+      // Falling back although the multi-threaded core was offered means it failed to load
+      setSingleThreadReason(source.multiThreaded ? null : getSingleThreadReason() ?? 'loadFailed')
       setIsLoaded(true)
-    } catch (error) {
-      console.error('Failed to load FFmpeg:', error)
+    } catch (err) {
+      console.error('Failed to load FFmpeg:', err)
+      setError(err?.message || String(err) || 'Unknown error')
     } finally {
+      loadingRef.current = false
       setIsLoading(false)
     }
-  }, [isLoaded, isLoading])
+  }, [emit])
 
-  return { ffmpeg, isLoaded, isLoading, loadFFmpeg }
-}
+  /**
+   * Runs an FFmpeg command on the current instance, see execWithProgress in the engine
+   * @param {string[]} args - FFmpeg arguments
+   * @param {Object} options - Progress options
+   * @returns {Promise<number>} - FFmpeg exit code
+   */
+  const execWithProgress = useCallback((args, options) => {
+    const instance = instanceRef.current
+    if (!instance) throw new Error('FFmpeg is not loaded')
+    return runWithProgress(instance, args, options)
+  }, [])
+
+  /**
+   * Runs an FFmpeg command on the current instance, collecting every log line it prints
+   * @param {string[]} args - FFmpeg arguments
+   * @param {Object} options - Same as execWithProgress
+   * @returns {Promise<{exitCode: number, lines: string[]}>}
+   */
+  const execWithLogs = useCallback((args, options) => {
+    const instance = instanceRef.current
+    if (!instance) throw new Error('FFmpeg is not loaded')
+    return runWithLogs(instance, args, options)
+  }, [])
 
+  /**
+   * Reads container and stream information for a file already in the FFmpeg file system
+   * @param {string} inputName - Path of the input file
+   * @returns {Promise<ReturnType<typeof import('../utils/ffmpegLog').parseProbeOutput>>} - Parsed media info
+   */
+  const probeMedia = useCallback((inputName) => {
+    const instance = instanceRef.current
+    if (!instance) throw new Error('FFmpeg is not loaded')
+    return probeWith(instance, inputName)
+  }, [])
+
+  /**
+   * Stops whatever the current instance is doing and loads a fresh one.
+   * Terminating kills the worker, which also discards its in-memory file system,
+   * so any pending exec/readFile calls on the old instance reject.
+   */
+  const restartFFmpeg = useCallback(async () => {
+    const current = instanceRef.current
+    instanceRef.current = null
+    setFFmpeg(null)
+    setIsLoaded(false)
+    setIsRestarting(true)
+
+    emit('log', { type: 'info', message: '--- FFmpeg restarted ---' })
+    if (current) {
+      try {
+        current.terminate()
+      } catch (err) {
+        console.warn('Failed to terminate FFmpeg:', err)
+      }
+    }
+
+    try {
+      await loadFFmpeg()
+    } finally {
+      setIsRestarting(false)
+    }
+  }, [loadFFmpeg, emit])
+
+  return {
+    ffmpeg,
+    isLoaded,
+    isLoading,
+    isRestarting,
+    isMultiThreaded,
+    singleThreadReason,
+    error,
+    loadFFmpeg,
+    restartFFmpeg,
+    subscribe,
+    getLog,
+    clearLog,
+    probeMedia,
+    execWithProgress,
+    execWithLogs,
+  }
+}
@@ -0,0 +1,183 @@
+import { useState, useRef, useEffect } from 'react'
+import { collectDroppedFiles, mayContainMedia, toMediaFile } from '../utils/fileUtils'
+import { checkMediaFile } from '../utils/mediaFormat'
+import { getAllowedOrigins, readAddFilesMessage, announceReady } from '../utils/embedding'
+import { whenIsolationSettled } from '../utils/serviceWorker'
+
+/**
+ * Every way files get into the queue: the file and folder pickers, drag and drop, paste, messages from
+ * an embedding or opening page, and the inputFiles prop. Files are checked by content before they are queued.
+ * @param {Object} options
+ * @param {(accepted: Array<{file: File, format: Object}>) => void} options.onAccept - Queues checked files
+ * @param {boolean} options.isProcessing - Whether a run is in progress, during which nothing can be added
+ * @param {boolean} options.isReady - Whether files can be accepted from a host page yet; it is told once this is true
+ * @param {Array<File|Blob>|null} options.inputFiles - Files handed over as a prop; each new array is added
+ * @param {(status: string) => void} options.setStatus - Shows which files were added
+ * @param {(error: string) => void} options.setError - Shows why files weren't added, or clears it with ''
+ */
+export function useFileInput({ onAccept, isProcessing, isReady, inputFiles, setStatus, setError }) {
+  const [dragState, setDragState] = useState(null)
+  const fileInputRef = useRef(null)
+  const folderInputRef = useRef(null)
+  const dragDepthRef = useRef(0)
+  const addedInputFilesRef = useRef(null)
+  // Window listeners outlive a render, so they call the latest addFiles through this ref
+  const addFilesRef = useRef(null)
+
+  /**
+   * Checks the content of files and adds the usable ones to the queue
+   * @param {File[]} selectedFiles - Files picked or dropped by the user
+   */
+  const addFiles = async (selectedFiles) => {
+    // Reset the inputs so picking the same files again still triggers a change
+    if (fileInputRef.current) fileInputRef.current.value = ''
+    if (folderInputRef.current) folderInputRef.current.value = ''
+    if (selectedFiles.length === 0) return
+
+    if (isProcessing) {
+      setError('Files can\'t be added while processing. Please wait for the current run to finish.')
+      return
+    }
+
+    setError('')
+    const accepted = []
+    const rejected = []
+    const warnings = []
+    for (const selectedFile of selectedFiles) {
+      // Validate the format from the file's first bytes; large files are allowed but come with a memory estimate
+      const { format, error: formatError, warning } = await checkMediaFile(selectedFile)
+      if (formatError) {
+        rejected.push({ file: selectedFile, error: formatError })
+        continue
+      }
+      accepted.push({ file: selectedFile, format })
+      if (warning) warnings.push(warning)
+    }
+
+    if (selectedFiles.length === 1 && rejected.length === 1) {
+      setError(rejected[0].error)
+      return
+    }
+    if (rejected.length > 0) {
+      const names = rejected.slice(0, 3).map(({ file: f }) => f.name).join(', ')
+      const more = rejected.length > 3 ? ` and ${rejected.length - 3} more` : ''
+      setError(`Skipped ${rejected.length} file(s) that aren't supported media: ${names}${more}`)
+    }
+    if (accepted.length === 0) return
+
+    onAccept(accepted)
+    const added = accepted.length > 1 ? `${accepted.length} files added to the queue.` : 'File selected. Ready to process.'
+    setStatus([added, ...warnings.slice(0, 3), warnings.length > 3 ? `${warnings.length - 3} more files have a misleading extension.` : '']
+      .filter(Boolean).join(' '))
+  }
+
+  /**
+   * Shows why files couldn't be added, e.g. when one of them can't be read
+   * @param {Error} err - Error thrown by addFiles
+   */
+  const showAddFilesError = (err) => {
+    console.error('Add files error:', err)
+    setError(`Could not add the files: ${err?.message || String(err)}`)
+  }
+
+  addFilesRef.current = (files) => addFiles(files).catch(showAddFilesError)
+
+  // Paste media files copied from the file manager; text pastes are left alone
+  useEffect(() => {
+    const handlePaste = (e) => {
+      const pasted = Array.from(e.clipboardData?.files || [])
+      if (pasted.length === 0) return
+      e.preventDefault()
+      addFilesRef.current(pasted)
+    }
+    window.addEventListener('paste', handlePaste)
+    return () => window.removeEventListener('paste', handlePaste)
+  }, [])
+
+  // Accept files from a page that embeds or opened the slicer
+  useEffect(() => {
+    const allowedOrigins = getAllowedOrigins()
+    const handleMessage = (e) => {
+      const received = readAddFilesMessage(e, allowedOrigins)
+      if (received) addFilesRef.current(received)
+    }
+    window.addEventListener('message', handleMessage)
+    return () => window.removeEventListener('message', handleMessage)
+  }, [])
+
+  // A page that is about to reload for cross-origin isolation would lose the files sent to it
+  useEffect(() => {
+    if (!isReady) return
+    let cancelled = false
+    whenIsolationSettled().then(() => {
+      if (!cancelled) announceReady(getAllowedOrigins())
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [isReady])
+
+  // Files passed in as a prop are added once per array
+  useEffect(() => {
+    if (!inputFiles || addedInputFilesRef.current === inputFiles) return
+    addedInputFilesRef.current = inputFiles
+    addFilesRef.current(inputFiles.map((blob) => toMediaFile(blob)))
+  }, [inputFiles])
+
+  const handleFileSelect = (e) => {
+    addFiles(Array.from(e.target.files || [])).catch(showAddFilesError)
+  }
+
+  // Track enter/leave pairs so moving over child elements doesn't end the hover state
+  const handleDragEnter = (e) => {
+    e.preventDefault()
+    dragDepthRef.current++
+    if (!isProcessing) setDragState(mayContainMedia(e.dataTransfer) ? 'valid' : 'invalid')
+  }
+
+  const handleDragLeave = () => {
+    dragDepthRef.current = Math.max(0, dragDepthRef.current - 1)
+    if (dragDepthRef.current === 0) setDragState(null)
+  }
+
+  const handleDragOver = (e) => {
+    e.preventDefault()
+    e.dataTransfer.dropEffect = isProcessing || dragState === 'invalid' ? 'none' : 'copy'
+  }
+
+  const handleDrop = async (e) => {
+    e.preventDefault()
+    dragDepthRef.current = 0
+    setDragState(null)
+    if (isProcessing) return
+    try {
+      await addFiles(await collectDroppedFiles(e.dataTransfer))
+    } catch (err) {
+      console.error('Drop error:', err)
+      setError(`Could not read the dropped files: ${err?.message || String(err)}`)
+    }
+  }
+
+  /**
+   * Opens the file picker, or the folder picker
+   * @param {boolean} folder - Pick a whole folder instead of files
+   */
+  const openPicker = (folder = false) => {
+    const input = folder ? folderInputRef.current : fileInputRef.current
+    if (!input || isProcessing) return
+    input.value = ''
+    input.click()
+  }
+
+  return {
+    dragState,
+    fileInputRef,
+    folderInputRef,
+    openPicker,
+    handleFileSelect,
+    handleDragEnter,
+    handleDragLeave,
+    handleDragOver,
+    handleDrop,
+  }
+}
@@ -0,0 +1,251 @@
+import { useState, useRef } from 'react'
+import { sanitizeFilename, getBaseName, makeUniqueFilename } from '../utils/fileUtils'
+
+/**
+ * The queue of files to slice, which of them is shown for review, and the run that slices them
+ * one after another
+ * @param {Object} options
+ * @param {(status: string) => void} options.setStatus - Shows the current step or result
+ * @param {(error: string) => void} options.setError - Shows an error, or clears it with ''
+ * @param {() => void} options.onCancel - Stops FFmpeg when a run is cancelled
+ */
+export function useJobQueue({ setStatus, setError, onCancel }) {
+  const [jobs, setJobs] = useState([])
+  const [activeFile, setActiveFile] = useState(null)
+  const [isProcessing, setIsProcessing] = useState(false)
+  const [progress, setProgress] = useState(0)
+  const [progressDetail, setProgressDetail] = useState(null)
+  const [report, setReport] = useState(null)
+  const nextJobIdRef = useRef(1)
+  const cancelRequestedRef = useRef(false)
+  const abortControllerRef = useRef(null)
+
+  /**
+   * Updates one job in the queue
+   * @param {number} id - Job id
+   * @param {Object} changes - Fields to merge into the job
+   */
+  const updateJob = (id, changes) => {
+    setJobs((current) => current.map((job) => (job.id === id ? { ...job, ...changes } : job)))
+  }
+
+  /**
+   * Adds checked files to the queue, showing the first one if nothing is shown yet
+   * @param {Array<{file: File, format: Object|null}>} accepted - Files and their detected format
+   */
+  const enqueue = (accepted) => {
+    const newJobs = accepted.map(({ file, format }) => ({
+      id: nextJobIdRef.current++,
+      file,
+      format,
+      status: 'queued',
+      progress: 0,
+      error: '',
+      segmentCount: null,
+    }))
+    setJobs((current) => [...current, ...newJobs])
+    if (!activeFile) setActiveFile(accepted[0].file)
+    setReport(null)
+  }
+
+  const selectJob = (job) => {
+    if (job.file !== activeFile) setActiveFile(job.file)
+  }
+
+  const removeJob = (job) => {
+    const remaining = jobs.filter((j) => j.id !== job.id)
+    setJobs(remaining)
+    if (job.file === activeFile) setActiveFile(remaining[0]?.file ?? null)
+  }
+
+  /**
+   * Lists the jobs a run would process
+   * @param {number[]|null} jobIds - Jobs to run, e.g. a single retry; null for every job not yet done
+   * @returns {Object[]}
+   */
+  const jobsToRun = (jobIds = null) => jobs.filter((job) => (jobIds ? jobIds.includes(job.id) : job.status !== 'done'))
+
+  /**
+   * Slices the jobs one after another, streaming the segments into one output for the run or one per file
+   * @param {Object[]} queue - Jobs to run, from jobsToRun
+   * @param {Object} options
+   * @param {ReturnType<typeof import('./useExportTarget').useExportTarget>} options.exportTarget - Where to save
+   * @param {(job: Object, callbacks: Object) => Promise<{segmentCount: number, report: Array, oversized: string[],
+   *   warnings: string[], attachments: Array<{name: string, content: string}>}>} options.processJob - Slices one
+   *   job with the current settings, calling the callbacks like sliceMedia
+   * @param {number} options.maxSizeMB - Size limit named in the warning about oversized segments
+   */
+  const run = async (queue, { exportTarget, processJob, maxSizeMB }) => {
+    // The save location has to be picked right away, while the click still counts as a user gesture
+    let opened
+    try {
+      opened = await exportTarget.openRunOutput(queue.map((job) => job.file))
+    } catch (err) {
+      setError(err.message)
+      return
+    }
+    if (!opened) return
+    const archive = opened.output
+
+    cancelRequestedRef.current = false
+    const abortController = new AbortController()
+    abortControllerRef.current = abortController
+    setIsProcessing(true)
+    setError('')
+    setProgress(0)
+    setProgressDetail(null)
+    setReport(null)
+    setStatus('Processing... This may take a while for large files.')
+
+    const results = []
+    const failures = []
+    const usedFolders = new Set()
+
+    try {
+      for (let n = 0; n < queue.length && !cancelRequestedRef.current; n++) {
+        const job = queue[n]
+        const prefix = queue.length > 1 ? `${job.file.name} (${n + 1} of ${queue.length}): ` : ''
+        const baseName = getBaseName(sanitizeFilename(job.file.name))
+        // A combined batch ZIP or output folder gets a folder per source file
+        const folder = archive && queue.length > 1 ? `${makeUniqueFilename(baseName, usedFolders)}/` : ''
+        let jobArchive = archive
+        updateJob(job.id, { status: 'processing', progress: 0, error: '', segmentCount: null })
+
+        try {
+          jobArchive = jobArchive || await exportTarget.openFileOutput(baseName)
+          const result = await processJob(job, {
+            onProgress: (value) => {
+              updateJob(job.id, { progress: value })
+              // Slicing covers 0-95% of the overall progress, finishing the ZIP file the rest
+              setProgress((n + value / 100) / queue.length * 95)
+            },
+            onStatus: (text) => setStatus(prefix + text),
+            onDetail: setProgressDetail,
+            onSegment: (name, data) => jobArchive.add(folder + name, data),
+            signal: abortController.signal,
+          })
+          for (const { name, content } of result.attachments) {
+            await jobArchive.add(folder + name, content)
+          }
+          if (jobArchive !== archive) {
+            await jobArchive.close()
+          }
+          results.push({ job, ...result })
+          updateJob(job.id, { status: 'done', progress: 100, segmentCount: result.segmentCount })
+        } catch (err) {
+          // A failing abort must not hide the job's own error or stop the rest of the queue
+          if (jobArchive && jobArchive !== archive) {
+            await jobArchive.abort().catch(() => {})
+          }
+
+          if (cancelRequestedRef.current) {
+            // The instance was terminated, taking its file system with it - nothing to clean up
+            updateJob(job.id, { status: 'cancelled', progress: 0 })
+            break
+          }
+
+          console.error('Processing error:', err)
+          // Safely extract error message
+          const errorMessage = err?.message || err?.toString() || String(err) || 'Unknown error occurred'
+          failures.push(job)
+          updateJob(job.id, { status: 'error', error: errorMessage })
+          if (queue.length === 1) {
+            setError(`Error processing file: ${errorMessage}`)
+          }
+        } finally {
+          setProgressDetail(null)
+        }
+      }
+
+      // Files finished before a cancel are still kept
+      if (archive && results.length > 0) {
+        setProgress(95)
+        setStatus(exportTarget.toFolder ? 'Finishing...' : 'Finalizing ZIP file...')
+        await archive.close()
+      } else if (archive) {
+        await archive.abort()
+      }
+      const delivered = exportTarget.describeDelivery(archive)
+
+      const shown = results.find((result) => result.job.file === activeFile) || results[results.length - 1]
+      setReport(shown?.report ?? null)
+
+      if (cancelRequestedRef.current) {
+        setProgress(0)
+        setStatus('Processing cancelled.' + (results.length
+          ? ` The ${results.length} file(s) finished before cancelling were kept. ${delivered}`
+          : ''))
+        return
+      }
+
+      if (results.length === 0) {
+        if (queue.length > 1) {
+          setError(`All ${queue.length} files failed - see the queue for details.`)
+        }
+        setStatus('')
+        return
+      }
+
+      const segmentTotal = results.reduce((total, result) => total + result.segmentCount, 0)
+      const oversized = results.flatMap((result) => result.oversized)
+      const warnings = [...new Set(results.flatMap((result) => result.warnings))]
+      setProgress(100)
+      setStatus((queue.length === 1
+        ? `Success! Created ${segmentTotal} segments. ${delivered}`
+        : `Success! Created ${segmentTotal} segments from ${results.length} of ${queue.length} files. ${delivered}` +
+          (failures.length ? ` ${failures.length} file(s) failed - use Retry in the queue.` : '')) +
+        (oversized.length
+          ? ` Warning: ${oversized.length} segment(s) exceed ${maxSizeMB} MB (${oversized.join(', ')}) - try a smaller size.`
+          : '') +
+        warnings.map((warning) => ` ${warning}`).join(''))
+
+      if (failures.length > 0) return
+
+      // Reset after 3 seconds, keeping any jobs that weren't part of this run
+      const doneIds = new Set(results.map((result) => result.job.id))
+      const remaining = jobs.filter((job) => !doneIds.has(job.id))
+      setTimeout(() => {
+        setJobs((current) => current.filter((job) => !doneIds.has(job.id)))
+        if (!remaining.some((job) => job.file === activeFile)) {
+          setActiveFile(remaining[0]?.file ?? null)
+        }
+        setProgress(0)
+        setStatus('')
+      }, 3000)
+    } catch (err) {
+      // Only finishing the ZIP file can fail here - errors of individual files are kept on their jobs
+      console.error('ZIP error:', err)
+      setError(`Error creating ZIP file: ${err?.message || String(err)}`)
+      setStatus('')
+    } finally {
+      setProgressDetail(null)
+      setIsProcessing(false)
+    }
+  }
+
+  const cancel = () => {
+    if (!isProcessing || cancelRequestedRef.current) return
+    cancelRequestedRef.current = true
+    setStatus('Cancelling...')
+    abortControllerRef.current?.abort()
+    // ffmpeg.exec can't be interrupted, so stop the worker and start a fresh instance
+    onCancel()
+  }
+
+  return {
+    jobs,
+    activeFile,
+    isProcessing,
+    isCancelling: cancelRequestedRef.current,
+    progress,
+    progressDetail,
+    report,
+    pendingCount: jobs.filter((job) => job.status !== 'done').length,
+    enqueue,
+    selectJob,
+    removeJob,
+    jobsToRun,
+    run,
+    cancel,
+  }
+}
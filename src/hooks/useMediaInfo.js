@@ -0,0 +1,57 @@
+import { useState, useRef, useEffect } from 'react'
+import { withInputFile } from '../engine'
+
+/**
+ * Probes each newly shown file so its details can be checked before slicing
+ * @param {import('@ffmpeg/ffmpeg').FFmpeg|null} ffmpeg - Loaded FFmpeg instance
+ * @param {File|null} file - File to probe
+ * @param {(inputName: string) => Promise<Object>} probeMedia - Probes a file in the FFmpeg file system
+ * @returns {{mediaInfo: Object|null, isProbing: boolean, probeError: string}}
+ */
+export function useMediaInfo(ffmpeg, file, probeMedia) {
+  const [mediaInfo, setMediaInfo] = useState(null)
+  const [isProbing, setIsProbing] = useState(false)
+  const [probeError, setProbeError] = useState('')
+  const probedFileRef = useRef(null)
+
+  useEffect(() => {
+    if (!file) {
+      probedFileRef.current = null
+      setMediaInfo(null)
+      setProbeError('')
+      return
+    }
+    if (!ffmpeg || probedFileRef.current === file) return
+
+    probedFileRef.current = file
+    let cancelled = false
+    let finished = false
+
+    const probe = async () => {
+      setIsProbing(true)
+      setProbeError('')
+      setMediaInfo(null)
+      try {
+        const info = await withInputFile(ffmpeg, file, probeMedia)
+        if (!cancelled) setMediaInfo(info)
+      } catch (err) {
+        if (!cancelled) setProbeError(err?.message || String(err))
+      } finally {
+        finished = true
+        if (!cancelled) setIsProbing(false)
+      }
+    }
+    probe()
+
+    return () => {
+      cancelled = true
+      if (!finished) {
+        // Interrupted (e.g. FFmpeg restarted) - let the next run probe this file again
+        probedFileRef.current = null
+        setIsProbing(false)
+      }
+    }
+  }, [file, ffmpeg, probeMedia])
+
+  return { mediaInfo, isProbing, probeError }
+}
@@ -0,0 +1,80 @@
+import { useState, useEffect } from 'react'
+import { WAVEFORM_FILE, THUMBNAIL_PREFIX, buildWaveformArgs, buildThumbnailArgs } from '../utils/ffmpegArgs'
+import { computePeaks } from '../utils/waveform'
+import { withInputFile, execWithProgress } from '../engine'
+
+// Resolution of the timeline preview
+const WAVEFORM_BUCKETS = 600
+const THUMBNAIL_COUNT = 10
+
+/**
+ * Waveform peaks and thumbnails for the timeline preview, built on request for the shown file
+ * @param {Object} options
+ * @param {import('@ffmpeg/ffmpeg').FFmpeg|null} options.ffmpeg - Loaded FFmpeg instance
+ * @param {File|null} options.file - File shown on the timeline
+ * @param {Object|null} options.mediaInfo - Probed details of the file
+ * @param {(error: string) => void} options.setError - Shows why the timeline couldn't be built, or clears it with ''
+ * @returns {{timeline: {peaks: number[]|null, thumbnails: string[]|null}|null, isLoadingTimeline: boolean,
+ *   handleLoadTimeline: () => Promise<void>}} - thumbnails are object URLs, revoked when the timeline is dropped
+ */
+export function useTimeline({ ffmpeg, file, mediaInfo, setError }) {
+  const [timeline, setTimeline] = useState(null)
+  const [isLoadingTimeline, setIsLoadingTimeline] = useState(false)
+
+  // Timeline data belongs to one file
+  useEffect(() => {
+    setTimeline(null)
+  }, [file])
+
+  useEffect(() => {
+    return () => timeline?.thumbnails?.forEach((url) => URL.revokeObjectURL(url))
+  }, [timeline])
+
+  const handleLoadTimeline = async () => {
+    if (!file || !ffmpeg || !mediaInfo?.duration) {
+      setError('The file must be loaded and its duration known before building a timeline.')
+      return
+    }
+
+    setIsLoadingTimeline(true)
+    setError('')
+    try {
+      const data = await withInputFile(ffmpeg, file, async (inputName) => {
+        let peaks = null
+        let thumbnails = null
+
+        if (mediaInfo.audio) {
+          await execWithProgress(ffmpeg, buildWaveformArgs({ input: inputName }))
+          const pcm = await ffmpeg.readFile(WAVEFORM_FILE)
+          await ffmpeg.deleteFile(WAVEFORM_FILE).catch(() => {})
+          // Copy to an aligned buffer with an even length so it can be viewed as 16-bit samples
+          const samples = new Int16Array(pcm.buffer.slice(pcm.byteOffset, pcm.byteOffset + (pcm.byteLength & ~1)))
+          peaks = computePeaks(samples, WAVEFORM_BUCKETS)
+        }
+
+        if (mediaInfo.video) {
+          await execWithProgress(ffmpeg, buildThumbnailArgs({ input: inputName, duration: mediaInfo.duration, count: THUMBNAIL_COUNT }))
+          const frames = (await ffmpeg.listDir('/'))
+            .filter((f) => f.name.startsWith(THUMBNAIL_PREFIX))
+            .sort((a, b) => a.name.localeCompare(b.name))
+          thumbnails = []
+          for (const frame of frames) {
+            const data = await ffmpeg.readFile(frame.name)
+            thumbnails.push(URL.createObjectURL(new Blob([data], { type: 'image/jpeg' })))
+            await ffmpeg.deleteFile(frame.name).catch(() => {})
+          }
+        }
+
+        return { peaks, thumbnails }
+      })
+      setTimeline(data)
+    } catch (err) {
+      console.error('Timeline error:', err)
+      setError(`Could not build the timeline: ${err?.message || String(err)}`)
+    } finally {
+      setIsLoadingTimeline(false)
+    }
+  }
+
+  return { timeline, isLoadingTimeline, handleLoadTimeline }
+}
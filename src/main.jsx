@@ -1,6 +1,7 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App'
+import { registerServiceWorker } from './utils/serviceWorker'
 import './index.css'
 
 // Error handling for app initialization
@@ -31,3 +32,4 @@ try {
   }
 }
 
+registerServiceWorker()
@@ -0,0 +1,184 @@
+/**
+ * Stand-in for @ffmpeg/ffmpeg's FFmpeg class, so the slicing pipeline can be tested without loading WASM.
+ * It keeps an in-memory file system and fakes the commands the app runs: probing, the segment muxer,
+ * range extraction and the detection passes. Every exec call is recorded in `commands`.
+ */
+export class FakeFFmpeg {
+  /**
+   * @param {Object} options
+   * @param {number} options.duration - Duration of every input in seconds
+   * @param {boolean} options.video - Whether inputs have a video stream
+   * @param {boolean} options.audio - Whether inputs have an audio stream
+   * @param {(args: string[]) => boolean} options.failOn - Commands for which exec rejects, like a crashed worker
+   * @param {(args: string[]) => string[]|null} options.errorLog - Log lines to print for commands that should
+   *   exit with code 1, or null to run the command normally
+   * @param {boolean} options.mountFails - Whether mounting rejects, so inputs are copied into memory instead
+   */
+  constructor({
+    duration = 60, video = true, audio = true, failOn = () => false, errorLog = () => null, mountFails = false,
+  } = {}) {
+    this.duration = duration
+    this.video = video
+    this.audio = audio
+    this.failOn = failOn
+    this.errorLog = errorLog
+    this.mountFails = mountFails
+    this.files = new Map()
+    this.mounts = new Map()
+    this.commands = []
+    this.listeners = { log: new Set(), progress: new Set() }
+  }
+
+  on(event, callback) {
+    this.listeners[event].add(callback)
+  }
+
+  off(event, callback) {
+    this.listeners[event].delete(callback)
+  }
+
+  log(message) {
+    this.listeners.log.forEach((callback) => callback({ type: 'stderr', message }))
+  }
+
+  async writeFile(path, data) {
+    this.files.set(path, typeof data === 'string' ? new TextEncoder().encode(data) : data)
+    return true
+  }
+
+  async readFile(path, encoding) {
+    const data = this.files.get(path) ?? this.readMounted(path)
+    if (!data) throw new Error(`ErrnoError: FS error (${path})`)
+    return encoding === 'utf8' ? new TextDecoder().decode(data) : data
+  }
+
+  readMounted(path) {
+    const dir = path.slice(0, path.lastIndexOf('/'))
+    return this.mounts.get(dir)?.has(path.slice(dir.length + 1)) ? new Uint8Array(1) : null
+  }
+
+  async deleteFile(path) {
+    if (!this.files.delete(path)) throw new Error(`ErrnoError: FS error (${path})`)
+    return true
+  }
+
+  async listDir(path) {
+    // Files are kept by path: root files without a slash, files in directories as /dir/name
+    const inDir = path === '/'
+      ? [...this.files.keys()].filter((name) => !name.includes('/'))
+      : [...this.files.keys()].filter((name) => name.startsWith(`${path}/`)).map((name) => name.slice(path.length + 1))
+    return [
+      { name: '.', isDir: true },
+      { name: '..', isDir: true },
+      ...(path === '/' ? [...this.mounts.keys()].map((dir) => ({ name: dir.slice(1), isDir: true })) : []),
+      ...inDir.map((name) => ({ name, isDir: false })),
+    ]
+  }
+
+  async createDir(path) {
+    this.mounts.set(path, null)
+    return true
+  }
+
+  async deleteDir(path) {
+    if (this.mounts.get(path)) throw new Error(`ErrnoError: FS error (${path} is mounted)`)
+    if ([...this.files.keys()].some((name) => name.startsWith(`${path}/`))) {
+      throw new Error(`ErrnoError: FS error (${path} is not empty)`)
+    }
+    this.mounts.delete(path)
+    return true
+  }
+
+  async mount(type, { blobs }, path) {
+    if (this.mountFails) throw new Error('ErrnoError: FS error (WORKERFS unavailable)')
+    this.mounts.set(path, new Set(blobs.map((blob) => blob.name)))
+    return true
+  }
+
+  async unmount(path) {
+    this.mounts.set(path, null)
+    return true
+  }
+
+  async exec(args) {
+    this.commands.push(args)
+    if (this.failOn(args)) throw new Error('FFmpeg worker crashed')
+    const errorLines = this.errorLog(args)
+    if (errorLines) {
+      errorLines.forEach((line) => this.log(line))
+      return 1
+    }
+
+    const output = args[args.length - 1]
+    if (args.length === 3 && args[1] === '-i') return this.probe(args[2])
+    if (args.includes('segment')) return this.segment(args, output)
+    if (args.includes('-ss')) return this.extractRange(args, output)
+    return 0
+  }
+
+  probe(input) {
+    this.log(`Input #0, mov,mp4,m4a,3gp,3g2,mj2, from '${input}':`)
+    this.log(`  Duration: ${formatLogTime(this.duration)}, start: 0.000000, bitrate: 1000 kb/s`)
+    if (this.video) {
+      this.log('  Stream #0:0(und): Video: h264 (High) (avc1 / 0x31637661), yuv420p, 1280x720, 25 fps, 25 tbr')
+    }
+    if (this.audio) {
+      this.log('  Stream #0:1(und): Audio: aac (LC) (mp4a / 0x6134706D), 48000 Hz, stereo, fltp, 128 kb/s')
+    }
+    this.log('At least one output file must be specified')
+    return 1
+  }
+
+  segment(args, pattern) {
+    const option = (name) => args[args.indexOf(name) + 1]
+    const cuts = args.includes('-segment_times')
+      ? option('-segment_times').split(',').map(Number)
+      : Array.from({ length: Math.ceil(this.duration / Number(option('-segment_time'))) - 1 },
+        (_, i) => (i + 1) * Number(option('-segment_time')))
+    const bounds = [0, ...cuts, this.duration]
+
+    const list = []
+    for (let i = 0; i < bounds.length - 1; i++) {
+      const name = pattern.replace(/%0(\d+)d/, (_, digits) => String(i).padStart(Number(digits), '0'))
+      this.log(`[segment @ 0x1] Opening '${name}' for writing`)
+      this.files.set(name, segmentData(name, bounds[i], bounds[i + 1]))
+      list.push(`${name},${bounds[i].toFixed(6)},${bounds[i + 1].toFixed(6)}`)
+      this.log(`size=N/A time=${formatLogTime(bounds[i + 1])} bitrate=N/A speed=10x`)
+    }
+    this.files.set(option('-segment_list'), new TextEncoder().encode(list.join('\n') + '\n'))
+    return 0
+  }
+
+  extractRange(args, output) {
+    // Measuring passes write to the null muxer
+    if (output === '-') return 0
+    const start = Number(args[args.indexOf('-ss') + 1])
+    const end = start + Number(args[args.indexOf('-t') + 1])
+    this.files.set(output, segmentData(output, start, end))
+    this.log(`size=N/A time=${formatLogTime(end - start)} bitrate=N/A speed=10x`)
+    return 0
+  }
+}
+
+/**
+ * Formats seconds the way FFmpeg prints times in its log, e.g. "00:01:30.00"
+ * @param {number} seconds - Time in seconds
+ * @returns {string}
+ */
+function formatLogTime(seconds) {
+  const hours = Math.floor(seconds / 3600)
+  const minutes = Math.floor((seconds % 3600) / 60)
+  const secs = (seconds % 60).toFixed(2).padStart(5, '0')
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${secs}`
+}
+
+/**
+ * Builds recognizable contents for a fake segment
+ * @param {string} name - Output name
+ * @param {number} start - Start in seconds
+ * @param {number} end - End in seconds
+ * @returns {Uint8Array}
+ */
+function segmentData(name, start, end) {
+  return new TextEncoder().encode(`${name} ${start.toFixed(3)}-${end.toFixed(3)}`)
+}
@@ -0,0 +1,31 @@
+/**
+ * Lists the entries of a ZIP archive written by client-zip, which stores files uncompressed
+ * @param {Uint8Array} bytes - Archive contents
+ * @returns {Map<string, Uint8Array>} - Entry data by name, in archive order
+ */
+export function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const decoder = new TextDecoder()
+
+  // The end of central directory record is the last 22 bytes when there is no archive comment
+  const end = bytes.byteLength - 22
+  if (view.getUint32(end, true) !== 0x06054b50) throw new Error('Not a ZIP archive')
+  const entryCount = view.getUint16(end + 10, true)
+  let offset = view.getUint32(end + 16, true)
+
+  const entries = new Map()
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt central directory')
+    const size = view.getUint32(offset + 20, true)
+    const nameLength = view.getUint16(offset + 28, true)
+    const extraLength = view.getUint16(offset + 30, true)
+    const commentLength = view.getUint16(offset + 32, true)
+    const localOffset = view.getUint32(offset + 42, true)
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength))
+
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true)
+    entries.set(name, bytes.subarray(dataStart, dataStart + size))
+    offset += 46 + nameLength + extraLength + commentLength
+  }
+  return entries
+}
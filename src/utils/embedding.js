@@ -0,0 +1,68 @@
+import { toMediaFile } from './fileUtils'
+
+/**
+ * Messages exchanged with a page that embeds the slicer (e.g. in an iframe) or opened it.
+ * - ready: sent to the parent/opener once the slicer can accept files
+ * - addFiles: sent by the parent/opener as { type, files: Array<File|Blob|{blob: Blob, name: string}> }
+ */
+export const EMBED_MESSAGES = {
+  ready: 'media-slicer:ready',
+  addFiles: 'media-slicer:add-files',
+}
+
+/**
+ * Reads the origins allowed to send files. The slicer's own origin is always allowed; other sites have
+ * to be listed in VITE_EMBED_ALLOWED_ORIGINS.
+ * @param {Record<string, string|undefined>} env - Build-time environment (defaults to import.meta.env)
+ * @param {string} ownOrigin - Origin the slicer is served from
+ * @returns {string[]} - Allowed origins
+ */
+export function getAllowedOrigins(env = import.meta.env, ownOrigin = window.location.origin) {
+  const configured = (env.VITE_EMBED_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean)
+  return [...new Set([ownOrigin, ...configured])]
+}
+
+/**
+ * Returns the windows that may hand files to the slicer
+ * @returns {Window[]}
+ */
+export function getHostWindows() {
+  return [window.parent !== window ? window.parent : null, window.opener].filter(Boolean)
+}
+
+/**
+ * Extracts the files from an addFiles message, ignoring anything else
+ * @param {MessageEvent} event - Message received by the window
+ * @param {string[]} allowedOrigins - From getAllowedOrigins
+ * @returns {File[]|null} - Files to add, or null if the message isn't an addFiles message from a host window
+ */
+export function readAddFilesMessage(event, allowedOrigins) {
+  if (event.data?.type !== EMBED_MESSAGES.addFiles) return null
+  if (!getHostWindows().includes(event.source)) return null
+  if (!allowedOrigins.includes(event.origin)) return null
+
+  const files = Array.isArray(event.data.files) ? event.data.files : []
+  return files
+    .map((entry) => {
+      if (entry instanceof Blob) return toMediaFile(entry)
+      if (entry?.blob instanceof Blob) return toMediaFile(entry.blob, entry.name)
+      return null
+    })
+    .filter(Boolean)
+}
+
+/**
+ * Tells the parent/opener that files can be sent now. The browser drops the message for every origin
+ * the host isn't on, so only an allowed host ever sees it.
+ * @param {string[]} allowedOrigins - From getAllowedOrigins
+ */
+export function announceReady(allowedOrigins) {
+  for (const host of getHostWindows()) {
+    for (const origin of allowedOrigins) {
+      host.postMessage({ type: EMBED_MESSAGES.ready }, origin)
+    }
+  }
+}
@@ -0,0 +1,38 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { getAllowedOrigins, readAddFilesMessage, announceReady, EMBED_MESSAGES } from './embedding'
+
+const OWN_ORIGIN = 'https://slicer.example'
+
+describe('getAllowedOrigins', () => {
+  it('only allows the own origin unless others are configured', () => {
+    expect(getAllowedOrigins({}, OWN_ORIGIN)).toEqual([OWN_ORIGIN])
+    expect(getAllowedOrigins({ VITE_EMBED_ALLOWED_ORIGINS: 'https://a.example, https://b.example' }, OWN_ORIGIN))
+      .toEqual([OWN_ORIGIN, 'https://a.example', 'https://b.example'])
+  })
+})
+
+describe('embedding messages', () => {
+  const opener = { postMessage: vi.fn() }
+
+  afterEach(() => {
+    window.opener = null
+    opener.postMessage.mockClear()
+  })
+
+  it('accepts files only from a host window on an allowed origin', () => {
+    window.opener = opener
+    const file = new File(['data'], 'clip.mp4', { type: 'video/mp4' })
+    const message = (origin, source = opener) => ({ data: { type: EMBED_MESSAGES.addFiles, files: [file] }, origin, source })
+
+    expect(readAddFilesMessage(message(OWN_ORIGIN), [OWN_ORIGIN])).toHaveLength(1)
+    expect(readAddFilesMessage(message('https://evil.example'), [OWN_ORIGIN])).toBeNull()
+    expect(readAddFilesMessage(message(OWN_ORIGIN, {}), [OWN_ORIGIN])).toBeNull()
+  })
+
+  it('announces readiness to the allowed origins only', () => {
+    window.opener = opener
+    announceReady([OWN_ORIGIN, 'https://a.example'])
+    expect(opener.postMessage.mock.calls.map(([, origin]) => origin)).toEqual([OWN_ORIGIN, 'https://a.example'])
+  })
+})
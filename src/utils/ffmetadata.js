@@ -0,0 +1,71 @@
+/**
+ * Undoes FFmetadata escaping, where "=", ";", "#", "\" and newlines are prefixed with a backslash
+ * @param {string} value - Escaped value
+ * @returns {string} - Unescaped value
+ */
+function unescapeValue(value) {
+  return value.replace(/\\(.)/g, '$1')
+}
+
+/**
+ * Splits FFmetadata text into logical lines, joining lines that end in an escaped newline
+ * @param {string} text - FFmetadata file contents
+ * @returns {string[]} - Logical lines
+ */
+function logicalLines(text) {
+  const lines = []
+  let current = ''
+  for (const line of text.split(/\r?\n/)) {
+    // An odd number of trailing backslashes means the newline itself was escaped
+    const trailing = /\\*$/.exec(line)[0].length
+    if (trailing % 2 === 1) {
+      current += line.slice(0, -1) + '\n'
+    } else {
+      lines.push(current + line)
+      current = ''
+    }
+  }
+  if (current) lines.push(current)
+  return lines
+}
+
+/**
+ * Reads the chapters from a file written with `ffmpeg -i <input> -f ffmetadata <file>`
+ * @param {string} text - FFmetadata file contents
+ * @returns {Array<{start: number, end: number, title: string}>} - Chapters in seconds, in file order
+ */
+export function parseChapters(text) {
+  const chapters = []
+  let chapter = null
+
+  const finishChapter = () => {
+    if (!chapter) return
+    const [num, den] = (chapter.timebase || '1/1000').split('/').map(Number)
+    const scale = num / den
+    const start = parseInt(chapter.start, 10) * scale
+    const end = parseInt(chapter.end, 10) * scale
+    if (Number.isFinite(start) && Number.isFinite(end) && end > start) {
+      chapters.push({ start, end, title: chapter.title || '' })
+    }
+    chapter = null
+  }
+
+  for (const line of logicalLines(text)) {
+    if (!line || line.startsWith(';') || line.startsWith('#')) continue
+
+    if (line.startsWith('[')) {
+      finishChapter()
+      if (line.trim() === '[CHAPTER]') chapter = {}
+      continue
+    }
+
+    if (!chapter) continue
+    const separator = line.search(/(?<!\\)=/)
+    if (separator < 0) continue
+    const key = unescapeValue(line.slice(0, separator)).toLowerCase()
+    chapter[key] = unescapeValue(line.slice(separator + 1))
+  }
+  finishChapter()
+
+  return chapters
+}
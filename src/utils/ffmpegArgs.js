@@ -0,0 +1,303 @@
+import { encoderArgs, sampleRateFor } from './outputFormats'
+import { LOUDNORM_TARGET } from './loudness'
+
+/**
+ * Slicing modes offered in the UI
+ * - fast: stream copy, cuts land on the nearest keyframe so lengths can drift
+ * - accurate: re-encodes with keyframes forced at every boundary so cuts are exact
+ */
+export const SLICE_MODES = {
+  fast: {
+    label: 'Fast (stream copy)',
+    description: 'No re-encoding. Video cuts snap to the nearest keyframe, so segment lengths may vary.',
+  },
+  accurate: {
+    label: 'Accurate (re-encode)',
+    description: 'Re-encodes with a keyframe at every boundary for exact cuts. Much slower.',
+  },
+}
+
+// Name of the CSV segment list the segment muxer writes alongside the outputs
+export const SEGMENT_LIST_FILE = 'out_segments.csv'
+
+// Working names are padded to this many digits so they sort in order even past 99 segments
+const SEGMENT_INDEX_DIGITS = 5
+
+// Name of the FFmetadata file chapters are exported to (out_ prefix so cleanup removes it)
+export const METADATA_FILE = 'out_metadata.txt'
+
+// Files written while building the timeline preview (out_ prefix so cleanup removes them)
+export const WAVEFORM_FILE = 'out_waveform.raw'
+export const WAVEFORM_SAMPLE_RATE = 2000
+export const THUMBNAIL_PREFIX = 'out_thumb_'
+
+/**
+ * Audio processing applied to every segment
+ * @typedef {Object} AudioOptions
+ * @property {number|null} channels - Channel count to downmix to, or null to keep the source layout
+ * @property {number|null} sampleRate - Sample rate in Hz to resample to, or null to keep the source rate
+ * @property {string|null} filter - Audio filter graph, e.g. from loudnormFilter, or null
+ */
+
+/**
+ * Decides whether segments have to be re-encoded rather than stream copied
+ * @param {'fast'|'accurate'} mode - Slicing mode, see SLICE_MODES
+ * @param {ReturnType<typeof import('./outputFormats').resolveOutputFormat>} output - Output format
+ * @param {AudioOptions|null} audio - Audio processing, if any
+ * @returns {boolean}
+ */
+export function shouldReencode(mode, output, audio) {
+  return mode === 'accurate' || output.transcode || Boolean(audio?.channels || audio?.sampleRate || audio?.filter)
+}
+
+/**
+ * Builds the codec arguments for an output format
+ * @param {Object} options
+ * @param {ReturnType<typeof import('./outputFormats').resolveOutputFormat>} options.output - Output format
+ * @param {boolean} options.reencode - Whether to re-encode rather than copy streams
+ * @param {'high'|'medium'|'low'} options.quality - Quality preset used when re-encoding
+ * @param {boolean} options.hasVideo - Whether the input has a video stream
+ * @param {string|null} options.keyframes - Value for -force_key_frames when re-encoding video, if any
+ * @param {AudioOptions|null} options.audio - Audio processing, only applied when re-encoding
+ * @returns {string[]} - FFmpeg arguments
+ */
+function codecArgsFor({ output, reencode, quality, hasVideo, keyframes = null, audio = null }) {
+  // Audio-only containers can't hold video, so drop it (this also drops embedded cover art)
+  const videoArgs = !output.video
+    ? ['-vn']
+    : reencode && hasVideo
+      ? [
+          '-c:v', output.video,
+          ...encoderArgs(output.video, quality),
+          ...(keyframes ? ['-force_key_frames', keyframes] : []),
+        ]
+      : []
+
+  if (!reencode) return [...videoArgs, '-c', 'copy']
+  return [
+    ...videoArgs,
+    ...(audio?.filter ? ['-af', audio.filter] : []),
+    '-c:a', output.audio,
+    ...encoderArgs(output.audio, quality),
+    ...(audio?.channels ? ['-ac', String(audio.channels)] : []),
+    ...(audio?.sampleRate ? ['-ar', String(sampleRateFor(output.audio, audio.sampleRate))] : []),
+  ]
+}
+
+/**
+ * Builds the output file name for the segment with the given zero-based index
+ * @param {number} index - Segment index
+ * @param {string} ext - Output extension
+ * @returns {string} - Output file name, matching what the segment muxer produces
+ */
+export function segmentOutputName(index, ext) {
+  return `out_${String(index).padStart(SEGMENT_INDEX_DIGITS, '0')}.${ext}`
+}
+
+/**
+ * Builds the FFmpeg arguments that split an input into fixed-length segments
+ * @param {Object} options
+ * @param {string} options.input - Input file name in the FFmpeg file system
+ * @param {number} options.segmentLength - Segment length in seconds
+ * @param {number[]|null} options.segmentTimes - Explicit cut times in seconds, used instead of segmentLength when set
+ * @param {ReturnType<typeof import('./outputFormats').resolveOutputFormat>} options.output - Output format
+ * @param {'fast'|'accurate'} options.mode - Slicing mode, see SLICE_MODES; converting always re-encodes
+ * @param {'high'|'medium'|'low'} options.quality - Quality preset used when re-encoding
+ * @param {boolean} options.hasVideo - Whether the input has a video stream
+ * @param {AudioOptions|null} options.audio - Audio processing; forces re-encoding when set
+ * @returns {string[]} - FFmpeg arguments
+ */
+export function buildSegmentArgs({
+  input,
+  segmentLength,
+  segmentTimes = null,
+  output,
+  mode = 'fast',
+  quality = 'medium',
+  hasVideo = true,
+  audio = null,
+}) {
+  const cutTimes = segmentTimes?.map((t) => t.toFixed(3)).join(',')
+  const splitArgs = segmentTimes
+    ? ['-segment_times', cutTimes]
+    : ['-segment_time', segmentLength.toString()]
+
+  const codecArgs = codecArgsFor({
+    output,
+    reencode: shouldReencode(mode, output, audio),
+    quality,
+    hasVideo,
+    audio,
+    // Put a keyframe exactly on every segment boundary so the muxer can cut there
+    keyframes: segmentTimes ? cutTimes : `expr:gte(t,n_forced*${segmentLength})`,
+  })
+
+  return [
+    '-i', input,
+    '-f', 'segment',
+    ...splitArgs,
+    ...codecArgs,
+    '-reset_timestamps', '1',
+    '-segment_format', output.muxer,
+    // Record where each segment actually starts and ends
+    '-segment_list', SEGMENT_LIST_FILE,
+    '-segment_list_type', 'csv',
+    `out_%0${SEGMENT_INDEX_DIGITS}d.${output.ext}`,
+  ]
+}
+
+/**
+ * Builds the FFmpeg arguments that extract a single start/end range into its own file
+ * @param {Object} options
+ * @param {string} options.input - Input file name in the FFmpeg file system
+ * @param {number} options.start - Range start in seconds
+ * @param {number} options.end - Range end in seconds
+ * @param {string} options.outputName - Output file name
+ * @param {ReturnType<typeof import('./outputFormats').resolveOutputFormat>} options.output - Output format
+ * @param {'fast'|'accurate'} options.mode - Slicing mode, see SLICE_MODES; converting always re-encodes
+ * @param {'high'|'medium'|'low'} options.quality - Quality preset used when re-encoding
+ * @param {boolean} options.hasVideo - Whether the input has a video stream
+ * @param {AudioOptions|null} options.audio - Audio processing; forces re-encoding when set
+ * @returns {string[]} - FFmpeg arguments
+ */
+export function buildRangeArgs({
+  input,
+  start,
+  end,
+  outputName,
+  output,
+  mode = 'fast',
+  quality = 'medium',
+  hasVideo = true,
+  audio = null,
+}) {
+  return [
+    // Seeking before -i is fast; when re-encoding it is also frame accurate
+    '-ss', start.toFixed(3),
+    '-i', input,
+    '-t', (end - start).toFixed(3),
+    ...codecArgsFor({ output, reencode: shouldReencode(mode, output, audio), quality, hasVideo, audio }),
+    '-avoid_negative_ts', 'make_zero',
+    '-f', output.muxer,
+    outputName,
+  ]
+}
+
+/**
+ * Builds the FFmpeg arguments that run silencedetect over an input's audio without writing any output
+ * @param {Object} options
+ * @param {string} options.input - Input file name in the FFmpeg file system
+ * @param {number} options.noiseDb - Level in dB below which audio counts as silence, e.g. -30
+ * @param {number} options.minSilence - Minimum silence length in seconds
+ * @returns {string[]} - FFmpeg arguments
+ */
+export function buildSilenceDetectArgs({ input, noiseDb, minSilence }) {
+  return [
+    '-hide_banner',
+    '-i', input,
+    '-vn',
+    '-af', `silencedetect=noise=${noiseDb}dB:d=${minSilence}`,
+    '-f', 'null',
+    '-',
+  ]
+}
+
+/**
+ * Builds the FFmpeg arguments that measure the loudness of a range of an input without writing any output
+ * @param {Object} options
+ * @param {string} options.input - Input file name in the FFmpeg file system
+ * @param {number} options.start - Range start in seconds
+ * @param {number} options.end - Range end in seconds
+ * @returns {string[]} - FFmpeg arguments; the measurement is printed as JSON at the end of the log
+ */
+export function buildLoudnessMeasureArgs({ input, start, end }) {
+  const { integrated, truePeak, range } = LOUDNORM_TARGET
+  return [
+    '-hide_banner',
+    '-ss', start.toFixed(3),
+    '-i', input,
+    '-t', (end - start).toFixed(3),
+    '-vn',
+    '-af', `loudnorm=I=${integrated}:TP=${truePeak}:LRA=${range}:print_format=json`,
+    '-f', 'null',
+    '-',
+  ]
+}
+
+/**
+ * Maps a 0-100 sensitivity onto a scene change threshold: more sensitive means a lower threshold
+ * @param {number} sensitivity - Sensitivity percentage
+ * @returns {number} - Threshold between 0.1 (most sensitive) and 0.6 (least sensitive)
+ */
+export function sceneThresholdFor(sensitivity) {
+  const clamped = Math.min(100, Math.max(0, sensitivity))
+  return Math.round((0.6 - clamped / 100 * 0.5) * 100) / 100
+}
+
+/**
+ * Builds the FFmpeg arguments that print every frame where the picture changes by more than a threshold
+ * @param {Object} options
+ * @param {string} options.input - Input file name in the FFmpeg file system
+ * @param {number} options.threshold - Scene change score between 0 and 1 above which a frame is reported
+ * @returns {string[]} - FFmpeg arguments
+ */
+export function buildSceneDetectArgs({ input, threshold }) {
+  return [
+    '-hide_banner',
+    '-i', input,
+    '-an',
+    '-vf', `select='gt(scene,${threshold})',metadata=print:key=lavfi.scene_score`,
+    '-f', 'null',
+    '-',
+  ]
+}
+
+/**
+ * Builds the FFmpeg arguments that export an input's global metadata and chapters as FFmetadata
+ * @param {Object} options
+ * @param {string} options.input - Input file name in the FFmpeg file system
+ * @returns {string[]} - FFmpeg arguments
+ */
+export function buildMetadataExportArgs({ input }) {
+  return ['-hide_banner', '-y', '-i', input, '-f', 'ffmetadata', METADATA_FILE]
+}
+
+/**
+ * Builds the FFmpeg arguments that decode an input's audio to low-rate mono PCM for drawing a waveform
+ * @param {Object} options
+ * @param {string} options.input - Input file name in the FFmpeg file system
+ * @returns {string[]} - FFmpeg arguments
+ */
+export function buildWaveformArgs({ input }) {
+  return [
+    '-hide_banner',
+    '-y',
+    '-i', input,
+    '-vn',
+    '-ac', '1',
+    '-ar', String(WAVEFORM_SAMPLE_RATE),
+    '-f', 's16le',
+    WAVEFORM_FILE,
+  ]
+}
+
+/**
+ * Builds the FFmpeg arguments that grab evenly spaced thumbnails from a video
+ * @param {Object} options
+ * @param {string} options.input - Input file name in the FFmpeg file system
+ * @param {number} options.duration - Input duration in seconds
+ * @param {number} options.count - Number of thumbnails
+ * @returns {string[]} - FFmpeg arguments, writing out_thumb_01.jpg, out_thumb_02.jpg, ...
+ */
+export function buildThumbnailArgs({ input, duration, count }) {
+  return [
+    '-hide_banner',
+    '-y',
+    '-i', input,
+    '-an',
+    '-vf', `fps=${count}/${duration.toFixed(3)},scale=160:-2`,
+    '-frames:v', String(count),
+    '-q:v', '5',
+    `${THUMBNAIL_PREFIX}%02d.jpg`,
+  ]
+}
@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest'
+import { buildSegmentArgs, buildRangeArgs, segmentOutputName, SEGMENT_LIST_FILE } from './ffmpegArgs'
+import { resolveOutputFormat } from './outputFormats'
+
+const mp4 = resolveOutputFormat('mp4')
+
+/**
+ * Reads the value following an option
+ * @param {string[]} args - FFmpeg arguments
+ * @param {string} name - Option name, e.g. "-c:v"
+ * @returns {string|undefined}
+ */
+const option = (args, name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined)
+
+describe('segmentOutputName', () => {
+  it('matches the pattern the segment muxer writes, padded so names sort past 99 segments', () => {
+    expect(segmentOutputName(0, 'mp4')).toBe('out_00000.mp4')
+    expect(segmentOutputName(123, 'mp3')).toBe('out_00123.mp3')
+    expect([segmentOutputName(100, 'mp4'), segmentOutputName(99, 'mp4')].sort()).toEqual([
+      'out_00099.mp4',
+      'out_00100.mp4',
+    ])
+  })
+})
+
+describe('buildSegmentArgs', () => {
+  it('stream copies fixed-length segments in fast mode', () => {
+    const args = buildSegmentArgs({ input: 'in.mp4', segmentLength: 30, output: mp4 })
+    expect(args).toEqual([
+      '-i', 'in.mp4',
+      '-f', 'segment',
+      '-segment_time', '30',
+      '-c', 'copy',
+      '-reset_timestamps', '1',
+      '-segment_format', 'mp4',
+      '-segment_list', SEGMENT_LIST_FILE,
+      '-segment_list_type', 'csv',
+      'out_%05d.mp4',
+    ])
+  })
+
+  it('cuts at explicit times when given', () => {
+    const args = buildSegmentArgs({ input: 'in.mp4', segmentLength: null, segmentTimes: [12.5, 40], output: mp4 })
+    expect(option(args, '-segment_times')).toBe('12.500,40.000')
+    expect(args).not.toContain('-segment_time')
+  })
+
+  it('re-encodes with a keyframe on every boundary in accurate mode', () => {
+    const args = buildSegmentArgs({ input: 'in.mp4', segmentLength: 10, output: mp4, mode: 'accurate' })
+    expect(option(args, '-c:v')).toBe('libx264')
+    expect(option(args, '-crf')).toBe('23')
+    expect(option(args, '-force_key_frames')).toBe('expr:gte(t,n_forced*10)')
+    expect(option(args, '-c:a')).toBe('aac')
+    expect(args).not.toContain('copy')
+  })
+
+  it('forces keyframes at explicit cut times in accurate mode', () => {
+    const args = buildSegmentArgs({
+      input: 'in.mp4',
+      segmentLength: null,
+      segmentTimes: [5, 20],
+      output: mp4,
+      mode: 'accurate',
+      quality: 'high',
+    })
+    expect(option(args, '-force_key_frames')).toBe('5.000,20.000')
+    expect(option(args, '-crf')).toBe('18')
+  })
+
+  it('skips video encoder options for audio-only inputs', () => {
+    const args = buildSegmentArgs({ input: 'in.mp4', segmentLength: 10, output: mp4, mode: 'accurate', hasVideo: false })
+    expect(args).not.toContain('-c:v')
+    expect(option(args, '-c:a')).toBe('aac')
+  })
+
+  it('converts to another format even in fast mode', () => {
+    const webm = resolveOutputFormat('mp4', 'webm')
+    const args = buildSegmentArgs({ input: 'in.mp4', segmentLength: 10, output: webm })
+    expect(option(args, '-c:v')).toBe('libvpx-vp9')
+    expect(option(args, '-c:a')).toBe('libopus')
+    expect(option(args, '-segment_format')).toBe('webm')
+    expect(args[args.length - 1]).toBe('out_%05d.webm')
+  })
+
+  it('drops the video for audio-only formats', () => {
+    const mp3 = resolveOutputFormat('mp4', 'mp3')
+    const args = buildSegmentArgs({ input: 'in.mp4', segmentLength: 10, output: mp3 })
+    expect(args).toContain('-vn')
+    expect(option(args, '-c:a')).toBe('libmp3lame')
+  })
+
+  it('re-encodes audio when downmixing or resampling', () => {
+    const args = buildSegmentArgs({
+      input: 'in.mp4',
+      segmentLength: 10,
+      output: mp4,
+      audio: { channels: 1, sampleRate: 16000, filter: null },
+    })
+    expect(option(args, '-ac')).toBe('1')
+    expect(option(args, '-ar')).toBe('16000')
+    expect(option(args, '-c:a')).toBe('aac')
+  })
+})
+
+describe('buildRangeArgs', () => {
+  it('seeks before the input and copies the range in fast mode', () => {
+    const args = buildRangeArgs({ input: 'in.mp4', start: 61.5, end: 90, outputName: 'out_00002.mp4', output: mp4 })
+    expect(args.slice(0, 4)).toEqual(['-ss', '61.500', '-i', 'in.mp4'])
+    expect(option(args, '-t')).toBe('28.500')
+    expect(option(args, '-c')).toBe('copy')
+    expect(option(args, '-f')).toBe('mp4')
+    expect(args[args.length - 1]).toBe('out_00002.mp4')
+  })
+
+  it('applies the audio filter when re-encoding', () => {
+    const args = buildRangeArgs({
+      input: 'in.mp4',
+      start: 0,
+      end: 10,
+      outputName: 'out_00000.mp4',
+      output: mp4,
+      audio: { channels: null, sampleRate: 48000, filter: 'loudnorm=I=-23' },
+    })
+    expect(option(args, '-af')).toBe('loudnorm=I=-23')
+    expect(option(args, '-ar')).toBe('48000')
+  })
+})
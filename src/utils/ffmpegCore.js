@@ -0,0 +1,129 @@
+import bundledCoreURL from '@ffmpeg/core?url'
+import bundledWasmURL from '@ffmpeg/core/wasm?url'
+import bundledMtCoreURL from '@ffmpeg/core-mt?url'
+import bundledMtWasmURL from '@ffmpeg/core-mt/wasm?url'
+import bundledMtWorkerURL from '@ffmpeg/core-mt/dist/esm/ffmpeg-core.worker.js?url'
+
+// Keep in sync with the @ffmpeg/core and @ffmpeg/core-mt versions pinned in package.json
+export const FFMPEG_CORE_VERSION = '0.12.6'
+
+const CDN_BASE_URL = `https://unpkg.com/@ffmpeg/core@${FFMPEG_CORE_VERSION}/dist/esm`
+const MT_CDN_BASE_URL = `https://unpkg.com/@ffmpeg/core-mt@${FFMPEG_CORE_VERSION}/dist/esm`
+
+/**
+ * Resolves a possibly relative URL against the current page
+ * @param {string} url - URL or path
+ * @returns {string} - Absolute URL
+ */
+function toAbsoluteURL(url) {
+  return new URL(url, window.location.href).href
+}
+
+/**
+ * @typedef {Object} CoreSource
+ * @property {string} label - Human readable name used in error messages
+ * @property {string} coreURL - URL of ffmpeg-core.js
+ * @property {string} wasmURL - URL of ffmpeg-core.wasm
+ * @property {string} [workerURL] - URL of ffmpeg-core.worker.js, only for the multi-threaded core
+ * @property {boolean} multiThreaded - Whether this is @ffmpeg/core-mt
+ */
+
+/**
+ * Builds a core source from a directory containing ffmpeg-core.js and ffmpeg-core.wasm
+ * (and ffmpeg-core.worker.js for the multi-threaded core)
+ * @param {string} label - Human readable name used in error messages
+ * @param {string} baseURL - Directory URL (with or without trailing slash)
+ * @param {boolean} multiThreaded - Whether the directory holds the multi-threaded core
+ * @returns {CoreSource}
+ */
+function sourceFromBaseURL(label, baseURL, multiThreaded = false) {
+  const base = baseURL.replace(/\/+$/, '')
+  return {
+    label,
+    coreURL: toAbsoluteURL(`${base}/ffmpeg-core.js`),
+    wasmURL: toAbsoluteURL(`${base}/ffmpeg-core.wasm`),
+    ...(multiThreaded ? { workerURL: toAbsoluteURL(`${base}/ffmpeg-core.worker.js`) } : {}),
+    multiThreaded,
+  }
+}
+
+/**
+ * Checks whether the multi-threaded core can run here. It needs SharedArrayBuffer, which browsers only
+ * offer to cross-origin isolated pages (served with COOP/COEP headers, or through the service worker).
+ * @returns {boolean}
+ */
+export function canUseMultiThreading() {
+  return typeof SharedArrayBuffer !== 'undefined' && window.crossOriginIsolated === true
+}
+
+// Why the single-threaded core is running, as shown next to it in the footer
+export const SINGLE_THREAD_REASONS = {
+  disabled: 'multi-threading is turned off for this site',
+  notIsolated: 'this page isn\'t cross-origin isolated, so re-encoding is slower',
+  loadFailed: 'the multi-threaded core couldn\'t be loaded, so re-encoding is slower',
+}
+
+/**
+ * Tells why the multi-threaded core won't be offered
+ * @param {Record<string, string>} env - Vite environment variables
+ * @param {boolean} isolated - Whether the page can run it, see canUseMultiThreading
+ * @returns {'disabled'|'notIsolated'|null} - Key of SINGLE_THREAD_REASONS, or null if it will be tried first
+ */
+export function getSingleThreadReason(env = import.meta.env, isolated = canUseMultiThreading()) {
+  if (env.VITE_FFMPEG_MULTI_THREAD === 'false') return 'disabled'
+  return isolated ? null : 'notIsolated'
+}
+
+/**
+ * Lists the locations the FFmpeg core can be loaded from, in the order they should be tried.
+ *
+ * By default the core is served from the app's own bundled assets. Set
+ * VITE_FFMPEG_CORE_URL to load it from another directory instead (e.g. an internal mirror),
+ * and VITE_FFMPEG_CDN_FALLBACK=false to never fall back to unpkg.
+ *
+ * When the page is cross-origin isolated the multi-threaded core is tried first (from
+ * VITE_FFMPEG_CORE_MT_URL if set), with the single-threaded core as the fallback.
+ * VITE_FFMPEG_MULTI_THREAD=false always uses the single-threaded core.
+ * @param {Record<string, string>} env - Vite environment variables
+ * @param {Object} options
+ * @param {boolean} options.multiThreaded - Whether to offer the multi-threaded core, see canUseMultiThreading
+ * @returns {CoreSource[]}
+ */
+export function getCoreSources(env = import.meta.env, { multiThreaded = canUseMultiThreading() } = {}) {
+  const sources = []
+  const cdnFallback = env.VITE_FFMPEG_CDN_FALLBACK !== 'false'
+
+  if (!getSingleThreadReason(env, multiThreaded)) {
+    if (env.VITE_FFMPEG_CORE_MT_URL) {
+      sources.push(sourceFromBaseURL('configured multi-threaded core URL', env.VITE_FFMPEG_CORE_MT_URL, true))
+    } else {
+      sources.push({
+        label: 'bundled multi-threaded core',
+        coreURL: toAbsoluteURL(bundledMtCoreURL),
+        wasmURL: toAbsoluteURL(bundledMtWasmURL),
+        workerURL: toAbsoluteURL(bundledMtWorkerURL),
+        multiThreaded: true,
+      })
+    }
+    if (cdnFallback) {
+      sources.push(sourceFromBaseURL('unpkg CDN (multi-threaded)', MT_CDN_BASE_URL, true))
+    }
+  }
+
+  if (env.VITE_FFMPEG_CORE_URL) {
+    sources.push(sourceFromBaseURL('configured core URL', env.VITE_FFMPEG_CORE_URL))
+  } else {
+    sources.push({
+      label: 'bundled core',
+      coreURL: toAbsoluteURL(bundledCoreURL),
+      wasmURL: toAbsoluteURL(bundledWasmURL),
+      multiThreaded: false,
+    })
+  }
+
+  if (cdnFallback) {
+    sources.push(sourceFromBaseURL('unpkg CDN', CDN_BASE_URL))
+  }
+
+  return sources
+}
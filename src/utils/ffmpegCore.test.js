@@ -0,0 +1,26 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest'
+import { getCoreSources, getSingleThreadReason } from './ffmpegCore'
+
+describe('getSingleThreadReason', () => {
+  it('names the build setting before the missing isolation', () => {
+    expect(getSingleThreadReason({ VITE_FFMPEG_MULTI_THREAD: 'false' }, true)).toBe('disabled')
+    expect(getSingleThreadReason({ VITE_FFMPEG_MULTI_THREAD: 'false' }, false)).toBe('disabled')
+  })
+
+  it('blames the page when it isn\'t isolated', () => {
+    expect(getSingleThreadReason({}, false)).toBe('notIsolated')
+  })
+
+  it('has no reason when the multi-threaded core will be tried', () => {
+    expect(getSingleThreadReason({}, true)).toBeNull()
+  })
+})
+
+describe('getCoreSources', () => {
+  it('tries the multi-threaded core first only when it is offered', () => {
+    expect(getCoreSources({}, { multiThreaded: true })[0].multiThreaded).toBe(true)
+    expect(getCoreSources({ VITE_FFMPEG_MULTI_THREAD: 'false' }, { multiThreaded: true })
+      .some((source) => source.multiThreaded)).toBe(false)
+  })
+})
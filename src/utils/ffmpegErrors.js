@@ -0,0 +1,103 @@
+/**
+ * Common FFmpeg failures, recognized from its log, with an explanation and a suggested fix.
+ * Checked in order, so more specific patterns come first.
+ */
+export const FFMPEG_FAILURES = [
+  {
+    id: 'codecNotSupported',
+    pattern: /Could not find tag for codec (\S+)|codec not currently supported in container|Only VP8 or VP9 or AV1 video|Exactly one .* stream is required|incompatible with output codec/i,
+    message: (match) => `The output container can't hold ${match?.[1] ? `the ${match[1]} stream` : 'one of the streams'} as it is.`,
+    fix: 'Switch to Accurate mode or convert to another format (e.g. MP4 or WebM) so the streams are re-encoded, or tick "Audio only" if the problem is a cover image.',
+  },
+  {
+    id: 'codecMissing',
+    pattern: /Unknown encoder '([^']+)'|Encoder \(codec (\S+)\) not found|Decoder \(codec (\S+)\) not found|Unknown decoder/i,
+    message: (match) => `This FFmpeg build has no ${match?.[1] || match?.[2] || match?.[3] || 'matching'} codec.`,
+    fix: 'Convert to a different output format, or keep the original format with Fast mode so nothing has to be encoded.',
+  },
+  {
+    id: 'invalidData',
+    pattern: /Invalid data found when processing input|moov atom not found|EBML header parsing failed|Header missing|could not find codec parameters|Error while decoding stream/i,
+    message: () => 'The file looks damaged or incomplete, or isn\'t the format it claims to be.',
+    fix: 'Check that the file plays in a media player. If it was still downloading or recording, get a complete copy; otherwise re-export it from the original source.',
+  },
+  {
+    id: 'outOfMemory',
+    pattern: /Cannot allocate memory|out of memory|memory access out of bounds|\bOOM\b|Array buffer allocation failed/i,
+    message: () => 'FFmpeg ran out of memory.',
+    fix: 'Close other tabs and try again. If it still fails, use Fast mode with the original format, split into shorter segments, or process fewer files at once.',
+  },
+  {
+    id: 'emptyOutput',
+    pattern: /Output file is empty, nothing was encoded|Output file #\d+ does not contain any stream/i,
+    message: () => 'FFmpeg finished without writing any data.',
+    fix: 'Make sure the segments are shorter than the file and inside its duration. For an audio-only output, check that the file actually has an audio stream.',
+  },
+]
+
+// Lines that only report progress, which never explain a failure
+const PROGRESS_LINE = /^\s*(frame|size)=|^\s*Press \[q\]/
+
+/**
+ * Finds the known failure that explains an FFmpeg log
+ * @param {string[]} lines - Log lines, and the message of any exception the command threw
+ * @returns {{id: string, message: string, fix: string}|null} - Explanation and suggested fix, or null
+ *   if nothing in the log is recognized
+ */
+export function diagnoseFFmpegLog(lines) {
+  for (const failure of FFMPEG_FAILURES) {
+    for (const line of lines) {
+      const match = failure.pattern.exec(line)
+      if (match) return { id: failure.id, message: failure.message(match), fix: failure.fix }
+    }
+  }
+  return null
+}
+
+/**
+ * Picks the line most likely to say why a command failed: the last one that looks like an error
+ * @param {string[]} lines - Log lines
+ * @returns {string|null}
+ */
+export function lastErrorLine(lines) {
+  const meaningful = lines.map((line) => line.trim()).filter((line) => line && !PROGRESS_LINE.test(line))
+  const errors = meaningful.filter((line) => /error|invalid|failed|cannot|could not|unable|not found|not supported/i.test(line))
+  return errors[errors.length - 1] || meaningful[meaningful.length - 1] || null
+}
+
+/**
+ * Formats a diagnosis as one message
+ * @param {{message: string, fix: string}} diagnosis - See diagnoseFFmpegLog
+ * @returns {string}
+ */
+function formatDiagnosis({ message, fix }) {
+  return `${message} Suggested fix: ${fix}`
+}
+
+/**
+ * Gets the message for a known failure that was detected without the log, e.g. from the output files
+ * @param {string} id - id of an entry in FFMPEG_FAILURES
+ * @returns {string}
+ */
+export function failureMessage(id) {
+  const failure = FFMPEG_FAILURES.find((f) => f.id === id)
+  return formatDiagnosis({ message: failure.message(null), fix: failure.fix })
+}
+
+/**
+ * Builds a readable message for a failed FFmpeg command
+ * @param {Object} failure
+ * @param {number|null} failure.exitCode - Exit code, or null if the command threw
+ * @param {string[]} failure.lines - What the command logged
+ * @param {Error|null} failure.error - Exception the command threw, if any
+ * @returns {string}
+ */
+export function describeFFmpegFailure({ exitCode = null, lines = [], error = null }) {
+  const thrown = error ? error.message || String(error) : null
+  const diagnosis = diagnoseFFmpegLog(thrown ? [...lines, thrown] : lines)
+  if (diagnosis) return formatDiagnosis(diagnosis)
+
+  // A thrown message (e.g. a crash) says more than whatever was logged before it
+  const detail = thrown || lastErrorLine(lines) || 'no details were logged'
+  return exitCode !== null ? `FFmpeg exited with code ${exitCode} (${detail}).` : detail
+}
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest'
+import { diagnoseFFmpegLog, lastErrorLine, describeFFmpegFailure, failureMessage } from './ffmpegErrors'
+
+describe('diagnoseFFmpegLog', () => {
+  it('recognizes common failures', () => {
+    const cases = [
+      ['[mp4 @ 0x1] Could not find tag for codec pcm_s16le in stream #1, codec not currently supported in container', 'codecNotSupported'],
+      ['[webm @ 0x1] Only VP8 or VP9 or AV1 video and Vorbis or Opus audio and WebVTT subtitles are supported for WebM.', 'codecNotSupported'],
+      ["Unknown encoder 'libx265'", 'codecMissing'],
+      ['input.mp4: Invalid data found when processing input', 'invalidData'],
+      ['[mov,mp4,m4a,3gp,3g2,mj2 @ 0x1] moov atom not found', 'invalidData'],
+      ['RuntimeError: memory access out of bounds', 'outOfMemory'],
+      ['Output file is empty, nothing was encoded (check -ss / -t / -frames parameters if used)', 'emptyOutput'],
+    ]
+    for (const [line, id] of cases) {
+      expect(diagnoseFFmpegLog(['size=N/A time=00:00:01.00', line])?.id).toBe(id)
+    }
+  })
+
+  it('names the codec when the log does', () => {
+    expect(diagnoseFFmpegLog(["Unknown encoder 'libx265'"]).message).toBe('This FFmpeg build has no libx265 codec.')
+  })
+
+  it('prefers the more specific failure when several match', () => {
+    const diagnosis = diagnoseFFmpegLog([
+      'Error while decoding stream #0:0: Invalid data found when processing input',
+      '[mp4 @ 0x1] Could not find tag for codec pcm_s16le in stream #1, codec not currently supported in container',
+    ])
+    expect(diagnosis.id).toBe('codecNotSupported')
+  })
+
+  it('returns null for unknown logs', () => {
+    expect(diagnoseFFmpegLog(['Stream mapping:', 'size=N/A time=00:00:05.00'])).toBeNull()
+  })
+})
+
+describe('lastErrorLine', () => {
+  it('picks the last line that looks like an error, skipping progress', () => {
+    expect(lastErrorLine([
+      'Input #0, wav, from in.wav:',
+      'Error opening output file out_00000.xyz.',
+      'Conversion failed!',
+      'size=N/A time=00:00:00.00 bitrate=N/A',
+    ])).toBe('Conversion failed!')
+  })
+
+  it('falls back to the last line', () => {
+    expect(lastErrorLine(['Stream mapping:', '  Stream #0:0 -> #0:0 (copy)'])).toBe('Stream #0:0 -> #0:0 (copy)')
+    expect(lastErrorLine([])).toBeNull()
+  })
+})
+
+describe('describeFFmpegFailure', () => {
+  it('explains a known failure with a fix', () => {
+    const message = describeFFmpegFailure({ exitCode: 1, lines: ['moov atom not found'] })
+    expect(message).toMatch(/^The file looks damaged or incomplete.* Suggested fix: Check that the file plays/)
+  })
+
+  it('diagnoses crashes from the exception', () => {
+    const message = describeFFmpegFailure({ lines: [], error: new Error('Aborted(OOM)') })
+    expect(message).toMatch(/^FFmpeg ran out of memory\./)
+  })
+
+  it('reports the exit code and the likely cause otherwise', () => {
+    expect(describeFFmpegFailure({ exitCode: 234, lines: ['Conversion failed!'] }))
+      .toBe('FFmpeg exited with code 234 (Conversion failed!).')
+    expect(describeFFmpegFailure({ exitCode: 1, lines: [] }))
+      .toBe('FFmpeg exited with code 1 (no details were logged).')
+  })
+})
+
+describe('failureMessage', () => {
+  it('formats a failure found without the log', () => {
+    expect(failureMessage('emptyOutput')).toMatch(/^FFmpeg finished without writing any data\. Suggested fix: /)
+  })
+})
@@ -0,0 +1,228 @@
+import { parseTimecode } from './timeUtils'
+
+/**
+ * Extracts the input duration from an FFmpeg log line
+ * @param {string} message - Log line, e.g. "  Duration: 00:01:23.45, start: 0.000000, bitrate: 128 kb/s"
+ * @returns {number|null} - Duration in seconds, or null if the line has none
+ */
+export function parseDurationLine(message) {
+  const match = /Duration:\s*([\d:.]+)/.exec(message)
+  return match ? parseTimecode(match[1]) : null
+}
+
+/**
+ * Extracts the current output position from an FFmpeg progress line
+ * @param {string} message - Log line, e.g. "size=    512kB time=00:00:05.00 bitrate= 838.9kbits/s speed=10x"
+ * @returns {number|null} - Position in seconds, or null if the line has none
+ */
+export function parseProgressTime(message) {
+  const match = /time=\s*(-?[\d:.]+)/.exec(message)
+  if (!match || match[1].startsWith('-')) return null
+  return parseTimecode(match[1])
+}
+
+/**
+ * Detects the segment muxer starting a new output file
+ * @param {string} message - Log line, e.g. "[segment @ 0x1234] Opening 'out_03.mp4' for writing"
+ * @returns {string|null} - Name of the file being opened, or null
+ */
+export function parseSegmentOpened(message) {
+  const match = /Opening '([^']+)' for writing/.exec(message)
+  return match ? match[1] : null
+}
+
+const CHANNEL_LAYOUTS = {
+  mono: 1,
+  stereo: 2,
+  '2.1': 3,
+  '3.0': 3,
+  quad: 4,
+  '4.0': 4,
+  '5.0': 5,
+  '5.1': 6,
+  '6.1': 7,
+  '7.1': 8,
+}
+
+/**
+ * Converts an FFmpeg channel layout description into a channel count
+ * @param {string} layout - Layout such as "stereo", "5.1(side)" or "3 channels"
+ * @returns {number|null} - Number of channels, or null if unknown
+ */
+function parseChannelLayout(layout) {
+  const explicit = /^(\d+) channels/.exec(layout)
+  if (explicit) return parseInt(explicit[1], 10)
+  return CHANNEL_LAYOUTS[layout.replace(/\(.*\)$/, '')] ?? null
+}
+
+/**
+ * Splits the parameter list of a stream line on top-level commas, ignoring those inside parentheses
+ * @param {string} params - e.g. "yuv420p(tv, bt709), 1920x1080 [SAR 1:1 DAR 16:9], 29.97 fps"
+ * @returns {string[]} - Trimmed parameters
+ */
+function splitStreamParams(params) {
+  const parts = []
+  let depth = 0
+  let current = ''
+  for (const char of params) {
+    if (char === '(' || char === '[') depth++
+    if (char === ')' || char === ']') depth--
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim())
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  if (current.trim()) parts.push(current.trim())
+  return parts
+}
+
+/**
+ * Parses the input description FFmpeg prints for `ffmpeg -i <file>`
+ * @param {string[]} lines - Log lines captured while probing
+ * @returns {{
+ *   duration: number|null,
+ *   container: string|null,
+ *   bitrate: number|null,
+ *   video: {codec: string, width: number|null, height: number|null, frameRate: number|null}|null,
+ *   audio: {codec: string, sampleRate: number|null, channels: number|null, channelLayout: string|null}|null
+ * }} - Media info; bitrate is in kb/s, fields FFmpeg didn't report are null
+ */
+export function parseProbeOutput(lines) {
+  const info = { duration: null, container: null, bitrate: null, video: null, audio: null }
+
+  for (const line of lines) {
+    const input = /^Input #0, (.+?), from '/.exec(line.trim())
+    if (input) {
+      info.container = input[1]
+      continue
+    }
+
+    if (/^\s*Duration:/.test(line)) {
+      info.duration = parseDurationLine(line)
+      const bitrate = /bitrate:\s*(\d+) kb\/s/.exec(line)
+      if (bitrate) info.bitrate = parseInt(bitrate[1], 10)
+      continue
+    }
+
+    // Only the first stream of each kind is reported
+    const stream = /Stream #0:\d+.*?: (Video|Audio): (.*)$/.exec(line)
+    if (!stream) continue
+    const [codecPart, ...params] = splitStreamParams(stream[2])
+    const codec = codecPart.split(' ')[0]
+
+    if (stream[1] === 'Video' && !info.video) {
+      const size = params.map((p) => /^(\d+)x(\d+)/.exec(p)).find(Boolean)
+      const fps = params.map((p) => /^([\d.]+) (fps|tbr)$/.exec(p)).find(Boolean)
+      info.video = {
+        codec,
+        width: size ? parseInt(size[1], 10) : null,
+        height: size ? parseInt(size[2], 10) : null,
+        frameRate: fps ? parseFloat(fps[1]) : null,
+      }
+    } else if (stream[1] === 'Audio' && !info.audio) {
+      // The channel layout always follows the sample rate
+      const rateIndex = params.findIndex((p) => /^\d+ Hz$/.test(p))
+      const layout = rateIndex >= 0 ? params[rateIndex + 1] ?? null : null
+      info.audio = {
+        codec,
+        sampleRate: rateIndex >= 0 ? parseInt(params[rateIndex], 10) : null,
+        channels: layout ? parseChannelLayout(layout) : null,
+        channelLayout: layout,
+      }
+    }
+  }
+
+  return info
+}
+
+/**
+ * Collects the silences reported by FFmpeg's silencedetect filter
+ * @param {string[]} lines - Log lines, including "silence_start: 10.5" and "silence_end: 12 | silence_duration: 1.5"
+ * @param {number|null} duration - Input duration, used to close a silence still running at the end of the file
+ * @returns {Array<{start: number, end: number}>} - Silences in seconds
+ */
+export function parseSilenceLog(lines, duration = null) {
+  const silences = []
+  let openStart = null
+
+  for (const line of lines) {
+    const start = /silence_start:\s*(-?[\d.]+)/.exec(line)
+    if (start) {
+      openStart = Math.max(0, parseFloat(start[1]))
+      continue
+    }
+    const end = /silence_end:\s*([\d.]+)/.exec(line)
+    if (end && openStart !== null) {
+      silences.push({ start: openStart, end: parseFloat(end[1]) })
+      openStart = null
+    }
+  }
+
+  if (openStart !== null && duration) {
+    silences.push({ start: openStart, end: duration })
+  }
+
+  return silences
+}
+
+/**
+ * Collects the frames passed by a select='gt(scene,X)' filter followed by metadata=print
+ * @param {string[]} lines - Log lines, including "frame:12 pts:6144 pts_time:12.345" and "lavfi.scene_score=0.53"
+ * @returns {Array<{time: number, score: number|null}>} - Scene changes in seconds, with their score if printed
+ */
+export function parseSceneLog(lines) {
+  const scenes = []
+
+  for (const line of lines) {
+    const time = /pts_time:\s*([\d.]+)/.exec(line)
+    if (time) {
+      scenes.push({ time: parseFloat(time[1]), score: null })
+      continue
+    }
+    const score = /lavfi\.scene_score=([\d.]+)/.exec(line)
+    if (score && scenes.length > 0) {
+      scenes[scenes.length - 1].score = parseFloat(score[1])
+    }
+  }
+
+  return scenes
+}
+
+/**
+ * Reads the JSON summary printed by FFmpeg's loudnorm filter with print_format=json
+ * @param {string[]} lines - Log lines; the summary is printed one line at a time from "{" to "}"
+ * @returns {{inputI: number|null, inputTp: number|null, inputLra: number|null, inputThresh: number|null,
+ *   outputI: number|null, outputTp: number|null, outputLra: number|null, targetOffset: number|null}|null}
+ *   - Measured values (null where FFmpeg printed e.g. "-inf"), or null if no summary was found
+ */
+export function parseLoudnormLog(lines) {
+  const start = lines.map((line) => line.trim()).lastIndexOf('{')
+  if (start === -1) return null
+  const end = lines.findIndex((line, i) => i > start && line.trim() === '}')
+  if (end === -1) return null
+
+  let summary
+  try {
+    summary = JSON.parse(lines.slice(start, end + 1).join('\n'))
+  } catch {
+    return null
+  }
+
+  const value = (key) => {
+    const number = parseFloat(summary[key])
+    return Number.isFinite(number) ? number : null
+  }
+
+  return {
+    inputI: value('input_i'),
+    inputTp: value('input_tp'),
+    inputLra: value('input_lra'),
+    inputThresh: value('input_thresh'),
+    outputI: value('output_i'),
+    outputTp: value('output_tp'),
+    outputLra: value('output_lra'),
+    targetOffset: value('target_offset'),
+  }
+}
@@ -1,3 +1,5 @@
+import { MEDIA_EXTENSIONS } from './mediaFormat'
+
 /**
  * Sanitizes a filename by removing bad characters and replacing spaces with underscores
  * @param {string} filename - Original filename
@@ -27,35 +29,19 @@ export function sanitizeFilename(filename) {
 }
 
 /**
- * Validates if a file is a supported media format
+ * Validates if a file looks like a supported media format from its MIME type or extension.
+ * This is only a first guess; checkMediaFile in mediaFormat.js looks at the content.
  * @param {File} file - File to validate
  * @returns {boolean} - True if supported
  */
 export function isSupportedMediaFile(file) {
-  const supportedTypes = [
-    'video/mp4',
-    'video/quicktime', // mov
-    'audio/mpeg', // mp3
-    'audio/mp3',
-    'audio/wav',
-    'audio/x-wav',
-    'video/x-msvideo', // avi
-    'video/webm',
-    'audio/webm',
-    'audio/ogg',
-    'video/ogg',
-  ]
-  
   // Check MIME type
-  if (supportedTypes.includes(file.type)) {
+  if (file.type.startsWith('audio/') || file.type.startsWith('video/')) {
     return true
   }
-  
+
   // Fallback: check extension
-  const ext = file.name.toLowerCase().split('.').pop()
-  const supportedExts = ['mp4', 'mp3', 'mov', 'wav', 'avi', 'webm', 'ogg', 'm4a', 'aac', 'flac']
-  
-  return supportedExts.includes(ext)
+  return MEDIA_EXTENSIONS.includes(getFileExtension(file.name))
 }
 
 /**
@@ -68,3 +54,128 @@ export function getFileExtension(filename) {
   return parts.length > 1 ? parts[parts.length - 1].toLowerCase() : ''
 }
 
+/**
+ * Gets a filename without its extension
+ * @param {string} filename - Filename
+ * @returns {string} - Name before the last dot, or the whole name if it has no extension
+ */
+export function getBaseName(filename) {
+  const lastDot = filename.lastIndexOf('.')
+  return lastDot > 0 ? filename.substring(0, lastDot) : filename
+}
+
+/**
+ * Makes a filename unique within a set of names already in use by appending _2, _3, ...
+ * @param {string} filename - Desired filename
+ * @param {Set<string>} usedNames - Names already taken; the returned name is added to it
+ * @returns {string} - Unique filename
+ */
+export function makeUniqueFilename(filename, usedNames) {
+  const lastDot = filename.lastIndexOf('.')
+  const name = lastDot > 0 ? filename.substring(0, lastDot) : filename
+  const ext = lastDot > 0 ? filename.substring(lastDot) : ''
+
+  let candidate = filename
+  for (let n = 2; usedNames.has(candidate); n++) {
+    candidate = `${name}_${n}${ext}`
+  }
+  usedNames.add(candidate)
+  return candidate
+}
+
+/**
+ * Reads every file below a dropped file system entry
+ * @param {FileSystemEntry} entry - File or directory entry
+ * @returns {Promise<File[]>} - Files found, in directory order
+ */
+async function readEntryFiles(entry) {
+  if (entry.isFile) {
+    return [await new Promise((resolve, reject) => entry.file(resolve, reject))]
+  }
+  if (!entry.isDirectory) return []
+
+  const reader = entry.createReader()
+  const children = []
+  // readEntries returns the directory in batches, so keep reading until it comes back empty
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+    if (batch.length === 0) break
+    children.push(...batch)
+  }
+
+  const files = []
+  for (const child of children) {
+    files.push(...await readEntryFiles(child))
+  }
+  return files
+}
+
+/**
+ * Collects the files from a drop, including the contents of any dropped folders
+ * @param {DataTransfer} dataTransfer - Data from the drop event
+ * @returns {Promise<File[]>} - Dropped files
+ */
+export async function collectDroppedFiles(dataTransfer) {
+  // Entries have to be taken synchronously, before the drop event's data is cleared
+  const entries = Array.from(dataTransfer.items || [])
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean)
+
+  // Without the entries API only top-level files are available
+  if (entries.length === 0) return Array.from(dataTransfer.files || [])
+
+  const files = []
+  for (const entry of entries) {
+    files.push(...await readEntryFiles(entry))
+  }
+  return files
+}
+
+// Extensions for blobs that arrive without a file name
+const MIME_EXTENSIONS = {
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/x-msvideo': 'avi',
+  'video/webm': 'webm',
+  'video/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/flac': 'flac',
+  'audio/opus': 'opus',
+  'video/x-matroska': 'mkv',
+  'video/mp2t': 'ts',
+}
+
+/**
+ * Turns a Blob or File handed over by another tool into a named File
+ * @param {Blob} blob - Blob or File
+ * @param {string} [name] - File name to use; defaults to the File's own name, or one derived from the MIME type
+ * @returns {File}
+ */
+export function toMediaFile(blob, name) {
+  if (blob instanceof File && !name) return blob
+  const ext = MIME_EXTENSIONS[blob.type.split(';')[0]] || 'bin'
+  return new File([blob], name || `input.${ext}`, {
+    type: blob.type,
+    lastModified: blob instanceof File ? blob.lastModified : Date.now(),
+  })
+}
+
+/**
+ * Checks whether a drag could contain media, using the MIME types the browser exposes before the drop.
+ * Folders and unknown types report an empty type, so they are given the benefit of the doubt.
+ * @param {DataTransfer} dataTransfer - Data from a dragenter/dragover event
+ * @returns {boolean} - False only when every dragged item is clearly not audio or video
+ */
+export function mayContainMedia(dataTransfer) {
+  const items = Array.from(dataTransfer.items || [])
+  if (items.length === 0) return true
+  return items.some((item) => item.kind === 'file' &&
+    (!item.type || item.type.startsWith('audio/') || item.type.startsWith('video/')))
+}
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest'
+import { sanitizeFilename, isSupportedMediaFile, getFileExtension, getBaseName, makeUniqueFilename } from './fileUtils'
+
+describe('sanitizeFilename', () => {
+  it('replaces whitespace with underscores', () => {
+    expect(sanitizeFilename('my holiday  video.mp4')).toBe('my_holiday_video.mp4')
+  })
+
+  it('removes characters that are invalid in file names', () => {
+    expect(sanitizeFilename('a<b>c:d"e/f\\g|h?i*j.mov')).toBe('abcdefghij.mov')
+    expect(sanitizeFilename('tab\there\u0001.wav')).toBe('tab_here.wav')
+  })
+
+  it('trims leading and trailing dots and underscores from the name', () => {
+    expect(sanitizeFilename('..hidden_.mp3')).toBe('hidden.mp3')
+    expect(sanitizeFilename(' padded .mp3')).toBe('padded.mp3')
+  })
+
+  it('falls back to "file" when nothing is left', () => {
+    expect(sanitizeFilename('???.mp4')).toBe('file.mp4')
+    expect(sanitizeFilename('')).toBe('file')
+  })
+
+  it('keeps the extension and treats dotfiles as having none', () => {
+    expect(sanitizeFilename('archive.tar.gz')).toBe('archive.tar.gz')
+    expect(sanitizeFilename('.mp4')).toBe('mp4')
+  })
+})
+
+describe('isSupportedMediaFile', () => {
+  it('accepts known MIME types regardless of the name', () => {
+    expect(isSupportedMediaFile({ name: 'recording', type: 'audio/webm' })).toBe(true)
+    expect(isSupportedMediaFile({ name: 'clip.bin', type: 'video/quicktime' })).toBe(true)
+  })
+
+  it('falls back to the extension, ignoring case', () => {
+    expect(isSupportedMediaFile({ name: 'song.FLAC', type: '' })).toBe(true)
+    expect(isSupportedMediaFile({ name: 'voice.m4a', type: 'application/octet-stream' })).toBe(true)
+    expect(isSupportedMediaFile({ name: 'episode.mkv', type: '' })).toBe(true)
+    expect(isSupportedMediaFile({ name: 'broadcast.ts', type: '' })).toBe(true)
+  })
+
+  it('rejects other files', () => {
+    expect(isSupportedMediaFile({ name: 'notes.txt', type: 'text/plain' })).toBe(false)
+    expect(isSupportedMediaFile({ name: 'video.mp4.zip', type: 'application/zip' })).toBe(false)
+  })
+})
+
+describe('getFileExtension', () => {
+  it('returns the lowercased last extension', () => {
+    expect(getFileExtension('Clip.MP4')).toBe('mp4')
+    expect(getFileExtension('archive.tar.gz')).toBe('gz')
+  })
+
+  it('returns an empty string when there is no extension', () => {
+    expect(getFileExtension('noext')).toBe('')
+  })
+})
+
+describe('getBaseName', () => {
+  it('strips the last extension', () => {
+    expect(getBaseName('my_video.final.mp4')).toBe('my_video.final')
+    expect(getBaseName('noext')).toBe('noext')
+  })
+})
+
+describe('makeUniqueFilename', () => {
+  it('numbers repeated names before the extension', () => {
+    const used = new Set()
+    expect(makeUniqueFilename('intro.mp4', used)).toBe('intro.mp4')
+    expect(makeUniqueFilename('intro.mp4', used)).toBe('intro_2.mp4')
+    expect(makeUniqueFilename('intro.mp4', used)).toBe('intro_3.mp4')
+    expect(makeUniqueFilename('intro', used)).toBe('intro')
+  })
+})
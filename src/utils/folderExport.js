@@ -0,0 +1,122 @@
+/**
+ * Where finished segments are saved
+ */
+export const SAVE_TARGETS = {
+  zip: { label: 'ZIP file' },
+  folder: { label: 'Folder' },
+}
+
+/**
+ * What to do when a segment would replace a file already in the output folder
+ */
+export const FOLDER_COLLISIONS = {
+  rename: { label: 'Keep both', description: 'Existing files are kept and the new segment gets a numbered name.' },
+  overwrite: { label: 'Overwrite', description: 'Existing files with the same name are replaced.' },
+  skip: { label: 'Skip', description: 'Segments whose name is already taken are not saved.' },
+}
+
+/**
+ * Checks whether segments can be written straight into a folder the user picks
+ * @returns {boolean}
+ */
+export function canSaveToFolder() {
+  return typeof window.showDirectoryPicker === 'function'
+}
+
+/**
+ * Asks the user for an output folder. Must be called while handling a user gesture,
+ * as browsers only show the picker then.
+ * @returns {Promise<FileSystemDirectoryHandle>}
+ */
+export function pickOutputFolder() {
+  return window.showDirectoryPicker({ id: 'media-slicer-output', mode: 'readwrite' })
+}
+
+/**
+ * Checks whether a folder already has a file with the given name
+ * @param {FileSystemDirectoryHandle} dir - Folder to look in
+ * @param {string} name - File name
+ * @returns {Promise<boolean>}
+ */
+async function fileExists(dir, name) {
+  try {
+    await dir.getFileHandle(name)
+    return true
+  } catch (err) {
+    if (err?.name === 'NotFoundError') return false
+    // A folder with that name counts as taken too
+    if (err?.name === 'TypeMismatchError') return true
+    throw err
+  }
+}
+
+/**
+ * Finds a name that isn't taken yet, numbering it the same way as makeUniqueFilename
+ * @param {FileSystemDirectoryHandle} dir - Folder the file goes into
+ * @param {string} filename - Preferred name
+ * @returns {Promise<string>}
+ */
+async function findFreeName(dir, filename) {
+  const lastDot = filename.lastIndexOf('.')
+  const name = lastDot > 0 ? filename.substring(0, lastDot) : filename
+  const ext = lastDot > 0 ? filename.substring(lastDot) : ''
+
+  let candidate = filename
+  for (let n = 2; await fileExists(dir, candidate); n++) {
+    candidate = `${name}_${n}${ext}`
+  }
+  return candidate
+}
+
+/**
+ * Opens a folder as an output that each segment is written to as soon as it is produced.
+ * It has the same shape as openZipArchive, so the two can be used interchangeably.
+ * @param {FileSystemDirectoryHandle} root - Folder picked with pickOutputFolder
+ * @param {Object} options
+ * @param {keyof FOLDER_COLLISIONS} options.collision - What to do when a file name is already taken
+ * @returns {{add: (name: string, data: Uint8Array|string) => Promise<void>, close: () => Promise<void>,
+ *   abort: () => Promise<void>, savesToFile: boolean, folderName: string, skipped: string[]}} - Names passed
+ *   to add may contain "/" to write into subfolders, which are created as needed; skipped lists the files
+ *   left alone
+ */
+export function openFolderOutput(root, { collision = 'rename' } = {}) {
+  const skipped = []
+
+  return {
+    savesToFile: true,
+    folderName: root.name,
+    skipped,
+    async add(path, data) {
+      const parts = path.split('/').filter(Boolean)
+      let dir = root
+      for (const part of parts.slice(0, -1)) {
+        dir = await dir.getDirectoryHandle(part, { create: true })
+      }
+
+      let name = parts[parts.length - 1]
+      if (collision !== 'overwrite' && await fileExists(dir, name)) {
+        if (collision === 'skip') {
+          skipped.push(path)
+          return
+        }
+        name = await findFreeName(dir, name)
+      }
+
+      const handle = await dir.getFileHandle(name, { create: true })
+      const writable = await handle.createWritable()
+      try {
+        await writable.write(data)
+        await writable.close()
+      } catch (err) {
+        await writable.abort().catch(() => {})
+        throw err
+      }
+    },
+    async close() {
+      // Every file is complete once add resolves
+    },
+    async abort() {
+      // Files already written are complete on their own, so they are kept
+    },
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * EBU R128 targets: integrated loudness in LUFS, maximum true peak in dBTP and loudness range in LU
+ */
+export const LOUDNORM_TARGET = {
+  integrated: -23,
+  truePeak: -1,
+  range: 7,
+}
+
+/**
+ * Builds a loudnorm filter that normalizes to LOUDNORM_TARGET.
+ * With a first-pass measurement the filter can apply a single linear gain instead of
+ * adjusting the level dynamically, which keeps the audio's dynamics intact.
+ * @param {ReturnType<typeof import('./ffmpegLog').parseLoudnormLog>|null} measured - First-pass measurement, if any
+ * @returns {string} - Audio filter graph
+ */
+export function loudnormFilter(measured = null) {
+  const { integrated, truePeak, range } = LOUDNORM_TARGET
+  const target = `loudnorm=I=${integrated}:TP=${truePeak}:LRA=${range}`
+
+  // Silent ranges measure as -inf, which loudnorm won't accept as a measured value
+  const usable = measured && [measured.inputI, measured.inputTp, measured.inputLra, measured.inputThresh]
+    .every(Number.isFinite)
+  if (!usable) return `${target}:print_format=json`
+
+  return [
+    target,
+    `measured_I=${measured.inputI}`,
+    `measured_TP=${measured.inputTp}`,
+    `measured_LRA=${measured.inputLra}`,
+    `measured_thresh=${measured.inputThresh}`,
+    `offset=${measured.targetOffset ?? 0}`,
+    'linear=true',
+    'print_format=json',
+  ].join(':')
+}
+
+/**
+ * Formats a loudness value for the report, leaving unmeasurable values empty
+ * @param {number|null} value - Value in LUFS, dBTP or LU
+ * @returns {string}
+ */
+function formatLoudness(value) {
+  return Number.isFinite(value) ? value.toFixed(2) : ''
+}
+
+/**
+ * Builds a CSV listing the loudness of every segment before and after normalization
+ * @param {Array<{fileName: string, start: number, end: number, loudness: {input: Object, output: Object}}>} segments
+ *   - Segment report entries with the measured loudness
+ * @returns {string} - CSV text with a header row
+ */
+export function buildLoudnessCsv(segments) {
+  const header = [
+    'file',
+    'start',
+    'end',
+    'input_integrated_lufs',
+    'input_true_peak_dbtp',
+    'input_lra_lu',
+    'output_integrated_lufs',
+    'output_true_peak_dbtp',
+    'output_lra_lu',
+    'target_integrated_lufs',
+    'target_true_peak_dbtp',
+  ]
+
+  const rows = segments.map(({ fileName, start, end, loudness }) => [
+    // Quote names so commas in chapter titles don't shift the columns
+    `"${fileName.replace(/"/g, '""')}"`,
+    start.toFixed(3),
+    end.toFixed(3),
+    formatLoudness(loudness.input.integrated),
+    formatLoudness(loudness.input.truePeak),
+    formatLoudness(loudness.input.range),
+    formatLoudness(loudness.output.integrated),
+    formatLoudness(loudness.output.truePeak),
+    formatLoudness(loudness.output.range),
+    LOUDNORM_TARGET.integrated,
+    LOUDNORM_TARGET.truePeak,
+  ])
+
+  return [header, ...rows].map((row) => row.join(',')).join('\n') + '\n'
+}
@@ -0,0 +1,190 @@
+import { sha256 } from '@noble/hashes/sha2.js'
+import { bytesToHex } from '@noble/hashes/utils.js'
+
+/**
+ * Names of the manifest files written next to the segments
+ */
+export const MANIFEST_FILES = {
+  json: 'manifest.json',
+  csv: 'manifest.csv',
+  edl: 'segments.edl',
+}
+
+// Frame rate assumed for EDL timecodes when the source has no video
+const DEFAULT_EDL_FRAME_RATE = 25
+
+// Files are hashed in slices of this size, so they never have to fit in memory as a whole
+const HASH_CHUNK_BYTES = 8 * 1024 * 1024
+
+/**
+ * Computes the SHA-256 hash of a file. The Web Crypto API can't hash incrementally, so the file is
+ * read in chunks and hashed in JavaScript instead.
+ * @param {Blob} file - File to hash
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Stops hashing before the next chunk is read
+ * @returns {Promise<string>} - Hex digest
+ */
+export async function hashFile(file, { signal } = {}) {
+  const hash = sha256.create()
+  for (let offset = 0; offset < file.size; offset += HASH_CHUNK_BYTES) {
+    signal?.throwIfAborted()
+    hash.update(new Uint8Array(await file.slice(offset, offset + HASH_CHUNK_BYTES).arrayBuffer()))
+  }
+  return bytesToHex(hash.digest())
+}
+
+/**
+ * Works out which codecs the segments end up with
+ * @param {Object} options
+ * @param {ReturnType<typeof import('./outputFormats').resolveOutputFormat>} options.output - Output format
+ * @param {boolean} options.reencode - Whether segments are re-encoded rather than stream copied
+ * @param {ReturnType<typeof import('./ffmpegLog').parseProbeOutput>} options.info - Source media info
+ * @returns {{video: string|null, audio: string|null}} - Encoder names when re-encoding, source codecs when copying
+ */
+export function segmentCodecs({ output, reencode, info }) {
+  const video = info.video && output.video ? (reencode ? output.video : info.video.codec) : null
+  const audio = info.audio ? (reencode ? output.audio : info.audio.codec) : null
+  return { video, audio }
+}
+
+/**
+ * Builds the JSON manifest describing where every segment came from
+ * @param {Object} options
+ * @param {{fileName: string, size: number, sha256: string, duration: number|null,
+ *   container: string|null, videoCodec: string|null, audioCodec: string|null, frameRate: number|null}} options.source
+ *   - Source file details
+ * @param {{format: string, muxer: string, videoCodec: string|null, audioCodec: string|null,
+ *   cutMethod: 'segments'|'ranges'}} options.output - Output format details shared by all segments; cutMethod
+ *   says whether the segment muxer cut the whole file in one run or each segment was extracted on its own
+ * @param {Array<{index: number, fileName: string, start: number|null, end: number|null, size: number,
+ *   ffmpegArgs: string[][]}>} options.segments - Exported segments in output order; ffmpegArgs lists every
+ *   FFmpeg command that went into the segment
+ * @param {Date} options.createdAt - When processing started
+ * @returns {Object} - Manifest, ready for JSON.stringify
+ */
+export function buildManifest({ source, output, segments, createdAt }) {
+  return {
+    generator: 'Media Slicer',
+    createdAt: createdAt.toISOString(),
+    source,
+    output,
+    segments: segments.map(({ index, fileName, start, end, size, ffmpegArgs }) => ({
+      index: index + 1,
+      fileName,
+      start,
+      end,
+      duration: start !== null && end !== null ? Number((end - start).toFixed(3)) : null,
+      size,
+      videoCodec: output.videoCodec,
+      audioCodec: output.audioCodec,
+      ffmpegArgs,
+    })),
+  }
+}
+
+/**
+ * Quotes a CSV field when it contains a comma, quote or line break
+ * @param {string|number|null} value - Field value
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Formats FFmpeg arguments as a command line, quoting arguments with spaces or shell characters
+ * @param {string[]} args - FFmpeg arguments
+ * @returns {string}
+ */
+function formatCommand(args) {
+  const quoted = args.map((arg) => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`))
+  return ['ffmpeg', ...quoted].join(' ')
+}
+
+/**
+ * Builds a CSV version of the manifest with one row per segment
+ * @param {ReturnType<typeof buildManifest>} manifest - Manifest from buildManifest
+ * @returns {string} - CSV text with a header row
+ */
+export function buildManifestCsv(manifest) {
+  const header = [
+    'source_file',
+    'source_sha256',
+    'index',
+    'file',
+    'start',
+    'end',
+    'duration',
+    'size',
+    'video_codec',
+    'audio_codec',
+    'ffmpeg_command',
+  ]
+
+  const rows = manifest.segments.map((segment) => [
+    manifest.source.fileName,
+    manifest.source.sha256,
+    segment.index,
+    segment.fileName,
+    segment.start?.toFixed(3) ?? null,
+    segment.end?.toFixed(3) ?? null,
+    segment.duration,
+    segment.size,
+    segment.videoCodec,
+    segment.audioCodec,
+    // Normalized segments take two commands, a measuring pass and the pass that writes the file
+    segment.ffmpegArgs.map(formatCommand).join(' && '),
+  ])
+
+  return [header, ...rows].map((row) => row.map(csvField).join(',')).join('\n') + '\n'
+}
+
+/**
+ * Formats seconds as an EDL timecode, e.g. 83.5 at 25 fps -> "00:01:23:13"
+ * @param {number} seconds - Time in seconds
+ * @param {number} frameRate - Frames per second; fractional rates are counted with a rounded timecode base
+ * @returns {string} - Non-drop-frame timecode
+ */
+function formatEdlTimecode(seconds, frameRate) {
+  const base = Math.round(frameRate)
+  const frames = Math.round(seconds * frameRate)
+  const parts = [
+    Math.floor(frames / (base * 3600)),
+    Math.floor(frames / (base * 60)) % 60,
+    Math.floor(frames / base) % 60,
+    frames % base,
+  ]
+  return parts.map((part) => String(part).padStart(2, '0')).join(':')
+}
+
+/**
+ * Builds a CMX3600 EDL that places every segment at its original position in the source, so editors
+ * can relink the segment files in an NLE. Segments without known boundaries are left out.
+ * @param {ReturnType<typeof buildManifest>} manifest - Manifest from buildManifest
+ * @returns {string} - EDL text
+ */
+export function buildEdl(manifest) {
+  const frameRate = manifest.source.frameRate || DEFAULT_EDL_FRAME_RATE
+  const { videoCodec, audioCodec } = manifest.output
+  // B is video and audio together
+  const channels = videoCodec && audioCodec ? 'B' : videoCodec ? 'V' : 'A'
+  const title = manifest.source.fileName.replace(/\.[^.]+$/, '')
+
+  const events = manifest.segments
+    .filter((segment) => segment.start !== null && segment.end !== null)
+    .map((segment, i) => {
+      const sourceIn = formatEdlTimecode(0, frameRate)
+      const sourceOut = formatEdlTimecode(segment.end - segment.start, frameRate)
+      const recordIn = formatEdlTimecode(segment.start, frameRate)
+      const recordOut = formatEdlTimecode(segment.end, frameRate)
+      return [
+        `${String(i + 1).padStart(3, '0')}  ${'AX'.padEnd(8)} ${channels.padEnd(5)} C        ` +
+          `${sourceIn} ${sourceOut} ${recordIn} ${recordOut}`,
+        `* FROM CLIP NAME: ${segment.fileName}`,
+      ].join('\n')
+    })
+
+  return [`TITLE: ${title}`, 'FCM: NON-DROP FRAME', '', ...events.flatMap((event) => [event, ''])].join('\n')
+}
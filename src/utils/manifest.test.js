@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest'
+import { createHash } from 'node:crypto'
+import { hashFile } from './manifest'
+
+describe('hashFile', () => {
+  it('hashes files spanning several chunks', async () => {
+    // Just over one 8 MB chunk, with a pattern so misordered chunks would change the hash
+    const bytes = new Uint8Array(8 * 1024 * 1024 + 1000).map((_, i) => i % 251)
+    const expected = createHash('sha256').update(bytes).digest('hex')
+    expect(await hashFile(new Blob([bytes]))).toBe(expected)
+  })
+
+  it('hashes an empty file', async () => {
+    expect(await hashFile(new Blob([]))).toBe(createHash('sha256').digest('hex'))
+  })
+
+  it('stops when aborted', async () => {
+    await expect(hashFile(new Blob(['data']), { signal: AbortSignal.abort() })).rejects.toThrow()
+  })
+})
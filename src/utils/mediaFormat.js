@@ -0,0 +1,197 @@
+/**
+ * Containers recognized from a file's first bytes. extensions lists the names the container is
+ * usually saved under; the first one is used when the content has to decide.
+ */
+export const MEDIA_CONTAINERS = {
+  mp4: { label: 'MP4/QuickTime', extensions: ['mp4', 'm4v', 'm4a', 'mov'] },
+  matroska: { label: 'Matroska', extensions: ['mkv'] },
+  webm: { label: 'WebM', extensions: ['webm'] },
+  ogg: { label: 'Ogg', extensions: ['ogg', 'oga', 'ogv', 'opus'] },
+  wav: { label: 'WAV', extensions: ['wav'] },
+  avi: { label: 'AVI', extensions: ['avi'] },
+  mp3: { label: 'MP3', extensions: ['mp3'] },
+  aac: { label: 'AAC (ADTS)', extensions: ['aac'] },
+  flac: { label: 'FLAC', extensions: ['flac'] },
+  mpegts: { label: 'MPEG-TS', extensions: ['ts', 'mts', 'm2ts'] },
+}
+
+// Every extension of a recognized container, for checks that only have the file name
+export const MEDIA_EXTENSIONS = Object.values(MEDIA_CONTAINERS).flatMap((container) => container.extensions)
+
+// Enough for every signature below, including Matroska's DocType and the first Ogg page
+const HEADER_BYTES = 4096
+
+// MPEG-TS packet size, and the M2TS variant that prefixes each packet with a 4-byte timestamp
+const TS_PACKET_BYTES = 188
+const M2TS_PACKET_BYTES = 192
+
+// ISO BMFF boxes a QuickTime/MP4 file can start with
+const BMFF_BOXES = ['ftyp', 'moov', 'mdat', 'free', 'wide', 'skip', 'pnot']
+
+/**
+ * Reads a run of bytes as ASCII
+ * @param {Uint8Array} bytes - Data
+ * @param {number} offset - First byte
+ * @param {number} length - Number of bytes
+ * @returns {string}
+ */
+function ascii(bytes, offset, length) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length))
+}
+
+/**
+ * Checks for an MPEG audio or ADTS frame header at the start of the data
+ * @param {Uint8Array} bytes - Data
+ * @returns {{container: string, extension: string}|null}
+ */
+function sniffFrameSync(bytes) {
+  if (bytes.length < 3 || bytes[0] !== 0xff || (bytes[1] & 0xe0) !== 0xe0) return null
+  const layer = (bytes[1] >> 1) & 0x03
+  // ADTS uses the MPEG-2/4 sync word with the layer bits always zero
+  if (layer === 0) return (bytes[1] & 0xf6) === 0xf0 ? { container: 'aac', extension: 'aac' } : null
+  // A bitrate index of 15 is invalid, which rules out most runs of 0xff
+  if (bytes[2] >> 4 === 0x0f) return null
+  return { container: 'mp3', extension: 'mp3' }
+}
+
+/**
+ * Works out the container from the first bytes of a file. ID3 tags are not skipped; see detectMediaFormat.
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {{container: string, extension: string}|null} - Key of MEDIA_CONTAINERS and the extension that
+ *   fits the content best, or null if the data isn't recognized
+ */
+export function sniffContainer(bytes) {
+  if (bytes.length < 4) return null
+  const magic = ascii(bytes, 0, 4)
+
+  if (BMFF_BOXES.includes(ascii(bytes, 4, 4))) {
+    // The major brand tells QuickTime, audio-only and video MP4 apart; other leading boxes are old QuickTime
+    const brand = ascii(bytes, 4, 4) === 'ftyp' ? ascii(bytes, 8, 4) : 'qt  '
+    const extension = brand === 'qt  ' ? 'mov' : ['M4A ', 'M4B '].includes(brand) ? 'm4a' : brand === 'M4V ' ? 'm4v' : 'mp4'
+    return { container: 'mp4', extension }
+  }
+  if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) {
+    // WebM is Matroska with a different DocType in the EBML header
+    return ascii(bytes, 0, Math.min(bytes.length, 64)).includes('webm')
+      ? { container: 'webm', extension: 'webm' }
+      : { container: 'matroska', extension: 'mkv' }
+  }
+  if (magic === 'OggS') {
+    // The first page holds the codec's identification header
+    const firstPage = ascii(bytes, 0, Math.min(bytes.length, 128))
+    const extension = firstPage.includes('OpusHead') ? 'opus' : firstPage.includes('theora') ? 'ogv' : 'ogg'
+    return { container: 'ogg', extension }
+  }
+  if (magic === 'RIFF' && bytes.length >= 12) {
+    const form = ascii(bytes, 8, 4)
+    if (form === 'WAVE') return { container: 'wav', extension: 'wav' }
+    if (form === 'AVI ') return { container: 'avi', extension: 'avi' }
+    return null
+  }
+  if (magic === 'fLaC') return { container: 'flac', extension: 'flac' }
+  if (bytes[0] === 0x47 && bytes[TS_PACKET_BYTES] === 0x47 &&
+    (bytes.length <= 2 * TS_PACKET_BYTES || bytes[2 * TS_PACKET_BYTES] === 0x47)) {
+    return { container: 'mpegts', extension: 'ts' }
+  }
+  if (bytes[4] === 0x47 && bytes[4 + M2TS_PACKET_BYTES] === 0x47) {
+    return { container: 'mpegts', extension: 'm2ts' }
+  }
+  return sniffFrameSync(bytes)
+}
+
+/**
+ * Reads the size of an ID3v2 tag at the start of the data
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {number} - Tag size in bytes including its header and footer, or 0 if there is no tag
+ */
+function id3TagSize(bytes) {
+  if (bytes.length < 10 || ascii(bytes, 0, 3) !== 'ID3') return 0
+  // The size is stored as four 7-bit bytes and excludes the 10-byte header
+  const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9]
+  const footer = bytes[5] & 0x10 ? 10 : 0
+  return 10 + size + footer
+}
+
+/**
+ * Gets the lowercased extension of a file name (fileUtils depends on this module, so it has its own copy)
+ * @param {string} name - File name
+ * @returns {string} - Extension without the dot, or an empty string
+ */
+function extensionOf(name) {
+  const lastDot = name.lastIndexOf('.')
+  return lastDot > 0 ? name.slice(lastDot + 1).toLowerCase() : ''
+}
+
+/**
+ * Reads part of a file
+ * @param {Blob} file - File to read
+ * @param {number} start - First byte
+ * @param {number} end - Byte after the last one
+ * @returns {Promise<Uint8Array>}
+ */
+async function readBytes(file, start, end) {
+  return new Uint8Array(await file.slice(start, end).arrayBuffer())
+}
+
+/**
+ * Detects a file's real container from its content
+ * @param {File} file - File to check
+ * @returns {Promise<{container: string, label: string, extension: string, mismatch: boolean}|null>} - The
+ *   container (key of MEDIA_CONTAINERS); the extension to treat the file as, which is its own if that fits
+ *   the container; and whether its own extension disagrees with the content. Null if the content isn't
+ *   a recognized media format.
+ */
+export async function detectMediaFormat(file) {
+  let bytes = await readBytes(file, 0, HEADER_BYTES)
+  let detected = sniffContainer(bytes)
+
+  // MP3 files (and sometimes FLAC or AAC) start with an ID3 tag, which can be large when it holds cover art
+  const tagSize = detected ? 0 : id3TagSize(bytes)
+  if (tagSize > 0) {
+    bytes = await readBytes(file, tagSize, tagSize + HEADER_BYTES)
+    detected = sniffContainer(bytes) || { container: 'mp3', extension: 'mp3' }
+  }
+  if (!detected) return null
+
+  const { label, extensions } = MEDIA_CONTAINERS[detected.container]
+  const ownExtension = extensionOf(file.name)
+  const fits = extensions.includes(ownExtension)
+  return {
+    container: detected.container,
+    label,
+    extension: fits ? ownExtension : detected.extension,
+    mismatch: Boolean(ownExtension) && !fits,
+  }
+}
+
+/**
+ * Checks a file's content before it is queued
+ * @param {File} file - File to check
+ * @returns {Promise<{format: Awaited<ReturnType<typeof detectMediaFormat>>, error: string, warning: string}>}
+ *   - error is set when the file can't be sliced, warning when it will be sliced as a different format
+ *   than its name suggests
+ */
+export async function checkMediaFile(file) {
+  let format
+  try {
+    format = await detectMediaFormat(file)
+  } catch (err) {
+    return { format: null, error: `${file.name} could not be read: ${err?.message || String(err)}`, warning: '' }
+  }
+
+  if (!format) {
+    return {
+      format: null,
+      error: `${file.name} doesn't contain a supported media format, whatever its name or type says. ` +
+        `Supported: ${Object.values(MEDIA_CONTAINERS).map((container) => container.label).join(', ')}.`,
+      warning: '',
+    }
+  }
+  return {
+    format,
+    error: '',
+    warning: format.mismatch
+      ? `${file.name} has a .${extensionOf(file.name)} extension but contains ${format.label} data, so it is sliced as .${format.extension}.`
+      : '',
+  }
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest'
+import { sniffContainer, detectMediaFormat, checkMediaFile } from './mediaFormat'
+
+/**
+ * Builds a buffer starting with the given bytes or ASCII text
+ * @param {...(string|number[])} parts - Text or byte values, in order
+ * @returns {Uint8Array} - At least 1 KB, padded with zeros
+ */
+const bytesOf = (...parts) => {
+  const bytes = new Uint8Array(1024)
+  let offset = 0
+  for (const part of parts) {
+    const values = typeof part === 'string' ? [...part].map((c) => c.charCodeAt(0)) : part
+    bytes.set(values, offset)
+    offset += values.length
+  }
+  return bytes
+}
+
+describe('sniffContainer', () => {
+  it('recognizes ISO BMFF files and picks the extension from the brand', () => {
+    expect(sniffContainer(bytesOf([0, 0, 0, 32], 'ftypisom'))).toEqual({ container: 'mp4', extension: 'mp4' })
+    expect(sniffContainer(bytesOf([0, 0, 0, 32], 'ftypqt  '))).toEqual({ container: 'mp4', extension: 'mov' })
+    expect(sniffContainer(bytesOf([0, 0, 0, 32], 'ftypM4A '))).toEqual({ container: 'mp4', extension: 'm4a' })
+    expect(sniffContainer(bytesOf([0, 0, 0, 8], 'wide'))).toEqual({ container: 'mp4', extension: 'mov' })
+  })
+
+  it('tells WebM and Matroska apart by the DocType', () => {
+    expect(sniffContainer(bytesOf([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x82, 0x84], 'webm')).container).toBe('webm')
+    expect(sniffContainer(bytesOf([0x1a, 0x45, 0xdf, 0xa3, 0xa3, 0x42, 0x82, 0x88], 'matroska')).container).toBe('matroska')
+  })
+
+  it('recognizes RIFF, Ogg and FLAC files', () => {
+    expect(sniffContainer(bytesOf('RIFF', [0, 0, 0, 0], 'WAVEfmt '))).toEqual({ container: 'wav', extension: 'wav' })
+    expect(sniffContainer(bytesOf('RIFF', [0, 0, 0, 0], 'AVI LIST'))).toEqual({ container: 'avi', extension: 'avi' })
+    expect(sniffContainer(bytesOf('RIFF', [0, 0, 0, 0], 'WEBPVP8 '))).toBeNull()
+    expect(sniffContainer(bytesOf('OggS', new Array(24).fill(0), 'OpusHead'))).toEqual({ container: 'ogg', extension: 'opus' })
+    expect(sniffContainer(bytesOf('OggS', new Array(24).fill(0), [1], 'vorbis'))).toEqual({ container: 'ogg', extension: 'ogg' })
+    expect(sniffContainer(bytesOf('fLaC'))).toEqual({ container: 'flac', extension: 'flac' })
+  })
+
+  it('recognizes MPEG-TS from repeating sync bytes', () => {
+    const ts = new Uint8Array(1024)
+    ts[0] = ts[188] = ts[376] = 0x47
+    expect(sniffContainer(ts)).toEqual({ container: 'mpegts', extension: 'ts' })
+    const m2ts = new Uint8Array(1024)
+    m2ts[4] = m2ts[196] = m2ts[388] = 0x47
+    expect(sniffContainer(m2ts)).toEqual({ container: 'mpegts', extension: 'm2ts' })
+  })
+
+  it('recognizes MPEG audio and ADTS frame headers', () => {
+    expect(sniffContainer(bytesOf([0xff, 0xfb, 0x90, 0x64]))).toEqual({ container: 'mp3', extension: 'mp3' })
+    expect(sniffContainer(bytesOf([0xff, 0xf1, 0x50, 0x80]))).toEqual({ container: 'aac', extension: 'aac' })
+    expect(sniffContainer(bytesOf([0xff, 0xff, 0xff, 0xff]))).toBeNull()
+  })
+
+  it('rejects anything else', () => {
+    expect(sniffContainer(bytesOf('%PDF-1.7'))).toBeNull()
+    expect(sniffContainer(bytesOf('PK', [3, 4]))).toBeNull()
+    expect(sniffContainer(new Uint8Array(2))).toBeNull()
+  })
+})
+
+describe('detectMediaFormat', () => {
+  it('keeps the extension when it fits the content', async () => {
+    const file = new File([bytesOf([0, 0, 0, 32], 'ftypisom')], 'clip.M4V')
+    expect(await detectMediaFormat(file)).toEqual({ container: 'mp4', label: 'MP4/QuickTime', extension: 'm4v', mismatch: false })
+  })
+
+  it('goes by the content when the extension disagrees', async () => {
+    const file = new File([bytesOf([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x82, 0x84], 'webm')], 'recording.mp4')
+    expect(await detectMediaFormat(file)).toMatchObject({ container: 'webm', extension: 'webm', mismatch: true })
+  })
+
+  it('looks past an ID3 tag', async () => {
+    // A 2000 byte tag, stored as a syncsafe integer, followed by FLAC audio
+    const tag = new Uint8Array(2010)
+    tag.set([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0x0f, 0x50])
+    const file = new File([tag, bytesOf('fLaC')], 'song.mp3')
+    expect(await detectMediaFormat(file)).toMatchObject({ container: 'flac', extension: 'flac', mismatch: true })
+  })
+})
+
+describe('checkMediaFile', () => {
+  it('rejects files whose content is not media, whatever they are called', async () => {
+    const { format, error } = await checkMediaFile(new File([bytesOf('%PDF-1.7')], 'movie.mp4', { type: 'video/mp4' }))
+    expect(format).toBeNull()
+    expect(error).toMatch(/^movie\.mp4 doesn't contain a supported media format/)
+  })
+
+  it('warns when the extension is misleading', async () => {
+    const { error, warning } = await checkMediaFile(new File([bytesOf('fLaC')], 'track.wav'))
+    expect(error).toBe('')
+    expect(warning).toBe('track.wav has a .wav extension but contains FLAC data, so it is sliced as .flac.')
+  })
+})
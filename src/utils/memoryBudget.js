@@ -0,0 +1,73 @@
+const MB = 1024 * 1024
+
+// Rough footprint of the FFmpeg core itself (script, WebAssembly module and working buffers)
+const CORE_OVERHEAD = 96 * MB
+
+// Budget used when the browser doesn't say how much memory the device has
+const DEFAULT_BUDGET = 1024 * MB
+
+/**
+ * Works out how much memory one job may use before the user is warned.
+ * VITE_MEMORY_BUDGET_MB sets a fixed budget; otherwise a quarter of the device memory
+ * reported by the browser is used (navigator.deviceMemory is capped at 8 GB and Chromium-only).
+ * @param {Record<string, string|undefined>} env - Build-time environment (defaults to import.meta.env)
+ * @param {{deviceMemory?: number}} nav - Navigator to read the device memory from
+ * @returns {{bytes: number, source: 'config'|'device'|'default'}} - Budget and where it came from
+ */
+export function getMemoryBudget(env = import.meta.env ?? {}, nav = globalThis.navigator) {
+  const configured = parseFloat(env.VITE_MEMORY_BUDGET_MB)
+  if (Number.isFinite(configured) && configured > 0) {
+    return { bytes: configured * MB, source: 'config' }
+  }
+
+  const deviceGB = nav?.deviceMemory
+  if (Number.isFinite(deviceGB) && deviceGB > 0) {
+    return { bytes: Math.max(512 * MB, deviceGB * 1024 * MB / 4), source: 'device' }
+  }
+
+  return { bytes: DEFAULT_BUDGET, source: 'default' }
+}
+
+/**
+ * Estimates the peak memory used while slicing a file
+ * @param {number} fileSize - Input size in bytes
+ * @param {Object} options
+ * @param {boolean} options.mounted - Whether the input is mounted (read lazily) rather than copied into memory
+ * @param {boolean} options.chunked - Whether segments are cut and exported one at a time
+ * @param {number|null} options.segmentCount - Expected number of segments, used for chunked processing
+ * @returns {number} - Estimated bytes
+ */
+export function estimateMemoryUse(fileSize, { mounted = true, chunked = false, segmentCount = null } = {}) {
+  // A copied input exists twice while it is handed to the worker: as an ArrayBuffer and in the file system
+  const input = mounted ? 0 : fileSize * 2
+  // Segments sit in FFmpeg's in-memory file system until exported; stream copies add up to about the input size
+  const output = chunked ? fileSize / Math.max(1, segmentCount || 1) : fileSize
+  return CORE_OVERHEAD + input + output
+}
+
+/**
+ * Decides how a file should be processed to stay within the memory budget
+ * @param {number} fileSize - Input size in bytes
+ * @param {number|null} segmentCount - Expected number of segments
+ * @param {number} budget - Budget in bytes, from getMemoryBudget
+ * @returns {{chunked: boolean, estimate: number, overBudget: boolean}} - chunked is true when cutting
+ *   segments one at a time is needed to fit the budget; overBudget when even that won't fit
+ */
+export function planMemoryUse(fileSize, segmentCount, budget) {
+  const wholeFile = estimateMemoryUse(fileSize, { mounted: true, chunked: false })
+  if (wholeFile <= budget || !segmentCount || segmentCount < 2) {
+    return { chunked: false, estimate: wholeFile, overBudget: wholeFile > budget }
+  }
+
+  const estimate = estimateMemoryUse(fileSize, { mounted: true, chunked: true, segmentCount })
+  return { chunked: true, estimate, overBudget: estimate > budget }
+}
+
+/**
+ * Formats a byte count for memory messages, e.g. "750 MB" or "1.5 GB"
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+export function formatMemorySize(bytes) {
+  return bytes >= 1024 * MB ? `${(bytes / (1024 * MB)).toFixed(1)} GB` : `${Math.round(bytes / MB)} MB`
+}
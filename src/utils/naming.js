@@ -0,0 +1,96 @@
+import { sanitizeFilename } from './fileUtils'
+import { formatTimestamp } from './timeUtils'
+
+/**
+ * Tokens that can be used in a name template, with the help text shown for each
+ */
+export const NAME_TOKENS = {
+  name: 'source file name without extension',
+  index: 'segment number, padded to fit the segment count ({index:000} pads to at least 3 digits)',
+  start: 'start time, e.g. 00-01-30.000',
+  end: 'end time',
+  duration: 'length in seconds',
+  label: 'cut list label or chapter title; unlabeled segments use {name}_segment_{index}',
+  date: 'date of processing, e.g. 2024-05-01',
+}
+
+// Names segments after their label where there is one, as before templates existed
+export const DEFAULT_NAME_TEMPLATE = '{label}'
+
+const TOKEN_PATTERN = /\{(\w+)(?::(0+))?\}/g
+
+/**
+ * Lists the tokens in a template that aren't in NAME_TOKENS
+ * @param {string} template - Name template
+ * @returns {string[]} - Unknown tokens as written, e.g. ["{title}"]
+ */
+export function findUnknownTokens(template) {
+  return [...template.matchAll(TOKEN_PATTERN)]
+    .filter(([, token]) => !(token in NAME_TOKENS))
+    .map(([match]) => match)
+}
+
+/**
+ * Formats a time for use in a file name, e.g. 90 -> "00-01-30.000"
+ * @param {number|null} seconds - Time in seconds
+ * @returns {string} - Timestamp without colons, or an empty string if unknown
+ */
+function formatNameTime(seconds) {
+  return Number.isFinite(seconds) ? formatTimestamp(seconds).replace(/:/g, '-') : ''
+}
+
+/**
+ * Formats a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+function formatNameDate(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-')
+}
+
+/**
+ * Builds the file name of a segment from a name template
+ * @param {string} template - Template with tokens from NAME_TOKENS, e.g. "{name}_{index:000}"
+ * @param {Object} segment
+ * @param {string} segment.name - Source file name without extension
+ * @param {number} segment.index - Zero-based segment index
+ * @param {number|null} segment.count - Number of segments, used to pad {index}
+ * @param {number|null} segment.start - Start time in seconds, if known
+ * @param {number|null} segment.end - End time in seconds, if known
+ * @param {string|null} segment.label - Cut list label or chapter title
+ * @param {Date} segment.date - Processing date
+ * @param {string} ext - Output extension
+ * @returns {string} - Sanitized file name
+ */
+export function renderSegmentName(template, { name, index, count, start, end, label, date }, ext) {
+  // Padding grows with the segment count so names keep sorting in order
+  const countDigits = String(Math.max(1, count || 0)).length
+  const padIndex = (minDigits) => String(index + 1).padStart(Math.max(minDigits, countDigits), '0')
+
+  const rendered = template.replace(TOKEN_PATTERN, (match, token, zeros) => {
+    switch (token) {
+      case 'name':
+        return name
+      case 'index':
+        return padIndex(zeros ? zeros.length : 2)
+      case 'start':
+        return formatNameTime(start)
+      case 'end':
+        return formatNameTime(end)
+      case 'duration':
+        return Number.isFinite(start) && Number.isFinite(end) ? String(Number((end - start).toFixed(3))) : ''
+      case 'label':
+        return label || `${name}_segment_${padIndex(2)}`
+      case 'date':
+        return formatNameDate(date)
+      default:
+        return match
+    }
+  })
+
+  return sanitizeFilename(`${rendered.trim() || `${name}_segment_${padIndex(2)}`}.${ext}`)
+}
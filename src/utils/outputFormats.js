@@ -0,0 +1,158 @@
+/**
+ * Output formats offered in the UI. "original" keeps the source container; every other format
+ * transcodes into a fixed container/codec combination.
+ * video is null for audio-only formats, which drop any video stream (including cover art).
+ */
+export const OUTPUT_FORMATS = {
+  original: { label: 'Original (keep format)' },
+  mp4: { label: 'MP4 (H.264 + AAC)', ext: 'mp4', muxer: 'mp4', video: 'libx264', audio: 'aac' },
+  webm: { label: 'WebM (VP9 + Opus)', ext: 'webm', muxer: 'webm', video: 'libvpx-vp9', audio: 'libopus' },
+  mp3: { label: 'MP3', ext: 'mp3', muxer: 'mp3', video: null, audio: 'libmp3lame' },
+  wav: { label: 'WAV (16-bit PCM)', ext: 'wav', muxer: 'wav', video: null, audio: 'pcm_s16le' },
+  flac: { label: 'FLAC', ext: 'flac', muxer: 'flac', video: null, audio: 'flac' },
+  m4a: { label: 'M4A (AAC)', ext: 'm4a', muxer: 'ipod', video: null, audio: 'aac' },
+  ogg: { label: 'OGG (Vorbis)', ext: 'ogg', muxer: 'ogg', video: null, audio: 'libvorbis' },
+}
+
+/**
+ * Muxer and re-encode codecs for each source extension, used when the original format is kept.
+ * The codecs only matter in accurate mode, where segments are re-encoded into the same container.
+ */
+const SOURCE_FORMATS = {
+  mp4: { muxer: 'mp4', video: 'libx264', audio: 'aac' },
+  m4v: { muxer: 'mp4', video: 'libx264', audio: 'aac' },
+  mov: { muxer: 'mov', video: 'libx264', audio: 'aac' },
+  mkv: { muxer: 'matroska', video: 'libx264', audio: 'aac' },
+  webm: { muxer: 'webm', video: 'libvpx-vp9', audio: 'libopus' },
+  avi: { muxer: 'avi', video: 'libx264', audio: 'libmp3lame' },
+  ts: { muxer: 'mpegts', video: 'libx264', audio: 'aac' },
+  ogv: { muxer: 'ogg', video: 'libtheora', audio: 'libvorbis' },
+  ogg: { muxer: 'ogg', video: 'libtheora', audio: 'libvorbis' },
+  oga: { muxer: 'ogg', video: null, audio: 'libvorbis' },
+  opus: { muxer: 'ogg', video: null, audio: 'libopus' },
+  mp3: { muxer: 'mp3', video: null, audio: 'libmp3lame' },
+  wav: { muxer: 'wav', video: null, audio: 'pcm_s16le' },
+  flac: { muxer: 'flac', video: null, audio: 'flac' },
+  m4a: { muxer: 'ipod', video: null, audio: 'aac' },
+  aac: { muxer: 'adts', video: null, audio: 'aac' },
+}
+
+// Containers that get a more fitting extension once the video is dropped
+const AUDIO_ONLY_CONTAINERS = {
+  mp4: { ext: 'm4a', muxer: 'ipod' },
+  m4v: { ext: 'm4a', muxer: 'ipod' },
+  mov: { ext: 'm4a', muxer: 'ipod' },
+  ogv: { ext: 'oga', muxer: 'ogg' },
+}
+
+/**
+ * Channel/sample rate presets for the audio of each segment. "source" leaves the audio as it is.
+ */
+export const AUDIO_LAYOUTS = {
+  source: { label: 'Keep source', channels: null, sampleRate: null },
+  speech: { label: 'Mono 16 kHz (speech-to-text)', channels: 1, sampleRate: 16000 },
+  stereo44: { label: 'Stereo 44.1 kHz', channels: 2, sampleRate: 44100 },
+  stereo48: { label: 'Stereo 48 kHz', channels: 2, sampleRate: 48000 },
+}
+
+// Opus only encodes at these rates; anything else is raised to 48 kHz
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000]
+
+/**
+ * Quality presets used whenever segments are re-encoded
+ */
+export const QUALITY_PRESETS = {
+  high: { label: 'High' },
+  medium: { label: 'Medium' },
+  low: { label: 'Low' },
+}
+
+// Encoder settings per quality preset. Encoders not listed here (PCM, FLAC) are lossless.
+const ENCODER_QUALITY = {
+  libx264: {
+    high: ['-crf', '18'],
+    medium: ['-crf', '23'],
+    low: ['-crf', '28'],
+  },
+  'libvpx-vp9': {
+    high: ['-crf', '24', '-b:v', '0'],
+    medium: ['-crf', '32', '-b:v', '0'],
+    low: ['-crf', '40', '-b:v', '0'],
+  },
+  libtheora: {
+    high: ['-q:v', '8'],
+    medium: ['-q:v', '6'],
+    low: ['-q:v', '4'],
+  },
+  aac: {
+    high: ['-b:a', '192k'],
+    medium: ['-b:a', '128k'],
+    low: ['-b:a', '96k'],
+  },
+  libmp3lame: {
+    high: ['-b:a', '256k'],
+    medium: ['-b:a', '192k'],
+    low: ['-b:a', '128k'],
+  },
+  libopus: {
+    high: ['-b:a', '160k'],
+    medium: ['-b:a', '96k'],
+    low: ['-b:a', '64k'],
+  },
+  libvorbis: {
+    high: ['-q:a', '7'],
+    medium: ['-q:a', '5'],
+    low: ['-q:a', '3'],
+  },
+}
+
+// Encoder speed settings, chosen for reasonable speed in WebAssembly
+const ENCODER_SPEED = {
+  libx264: ['-preset', 'veryfast', '-pix_fmt', 'yuv420p'],
+  'libvpx-vp9': ['-deadline', 'realtime', '-cpu-used', '8', '-row-mt', '1', '-pix_fmt', 'yuv420p'],
+}
+
+/**
+ * Resolves the container and codecs segments are written with
+ * @param {string} sourceExt - Extension of the input file (without dot)
+ * @param {string} format - Key of OUTPUT_FORMATS
+ * @param {Object} options
+ * @param {boolean} options.audioOnly - Drop the video stream even if the format could hold one
+ * @returns {{ext: string, muxer: string, video: string|null, audio: string, transcode: boolean}} - Output
+ *   format; transcode is true when segments must be re-encoded regardless of the cut mode
+ */
+export function resolveOutputFormat(sourceExt, format = 'original', { audioOnly = false } = {}) {
+  let output
+  if (format !== 'original' && OUTPUT_FORMATS[format]) {
+    const { ext, muxer, video, audio } = OUTPUT_FORMATS[format]
+    output = { ext, muxer, video, audio, transcode: true }
+  } else {
+    // Unknown containers are remuxed into MP4, which accepts most codecs FFmpeg can copy
+    const ext = SOURCE_FORMATS[sourceExt] ? sourceExt : 'mp4'
+    output = { ext, ...SOURCE_FORMATS[ext], transcode: false }
+  }
+
+  if (!audioOnly || !output.video) return output
+  return { ...output, ...AUDIO_ONLY_CONTAINERS[output.ext], video: null }
+}
+
+/**
+ * Picks the sample rate to encode at, adjusting rates the encoder can't produce
+ * @param {string} encoder - FFmpeg audio encoder name
+ * @param {number} sampleRate - Requested sample rate in Hz
+ * @returns {number} - Sample rate in Hz
+ */
+export function sampleRateFor(encoder, sampleRate) {
+  if (encoder === 'libopus' && !OPUS_SAMPLE_RATES.includes(sampleRate)) return 48000
+  return sampleRate
+}
+
+/**
+ * Builds the quality and speed arguments for an encoder
+ * @param {string} encoder - FFmpeg encoder name
+ * @param {'high'|'medium'|'low'} quality - Key of QUALITY_PRESETS
+ * @returns {string[]} - FFmpeg arguments
+ */
+export function encoderArgs(encoder, quality = 'medium') {
+  return [...(ENCODER_SPEED[encoder] || []), ...(ENCODER_QUALITY[encoder]?.[quality] || [])]
+}
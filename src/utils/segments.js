@@ -0,0 +1,475 @@
+import { parseTimecode } from './timeUtils'
+
+/**
+ * Parses the CSV segment list written by FFmpeg's segment muxer
+ * @param {string} text - CSV contents, one "filename,start,end" line per segment
+ * @returns {Array<{name: string, start: number, end: number}>} - Segments in output order
+ */
+export function parseSegmentList(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      // The file name comes first and may be quoted; start and end are always the last two fields
+      const fields = line.split(',')
+      const end = parseFloat(fields.pop())
+      const start = parseFloat(fields.pop())
+      const name = fields.join(',').replace(/^"(.*)"$/, '$1').replace(/""/g, '"')
+      return { name, start, end }
+    })
+    .filter((segment) => Number.isFinite(segment.start) && Number.isFinite(segment.end))
+}
+
+/**
+ * Ways of deciding where to cut, offered alongside each other in the UI
+ */
+export const SPLIT_STRATEGIES = {
+  duration: { label: 'By length' },
+  count: { label: 'By count' },
+  size: { label: 'By size' },
+  cuts: { label: 'Cut list' },
+  silence: { label: 'On silence' },
+  scenes: { label: 'On scenes' },
+  chapters: { label: 'By chapter' },
+}
+
+const RANGE_PATTERN = /^([\d:.]+)\s*[-–]\s*([\d:.]+)$/
+
+/**
+ * Checks whether the column after a start time holds the end of a range rather than a label. Only a
+ * clock time (with a colon) after the start counts, so numeric labels like "00:05:00, 60" stay labels.
+ * @param {string|undefined} column - Second column
+ * @param {number|null} start - Parsed start time
+ * @returns {boolean}
+ */
+function isEndColumn(column, start) {
+  if (start === null || !column?.includes(':')) return false
+  const end = parseTimecode(column)
+  return end !== null && end > start
+}
+
+/**
+ * Parses a cut list with one entry per line. Each line is either a cut point or a start/end range,
+ * optionally followed by a label, e.g. "00:01:30.500 Intro" or "00:01:00 - 00:02:00, Interview".
+ * Columns may also be separated by tabs or commas, so lists pasted from a spreadsheet work as-is; a
+ * second column is read as the end of a range only if it is a clock time after the start.
+ * Blank lines and lines starting with # are ignored.
+ * @param {string} text - Cut list text
+ * @returns {{type: 'points'|'ranges'|null, entries: Array<{start: number, end: number|null, label: string}>, errors: string[]}}
+ */
+export function parseCutList(text) {
+  const entries = []
+  const errors = []
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim()
+    if (!line || line.startsWith('#')) return
+
+    let columns = line.split(/\t|,/).map((column) => column.trim())
+    if (columns.length === 1) {
+      // Space separated: the label is everything after the time (or range)
+      const match = /^([\d:.]+(?:\s*[-–]\s*[\d:.]+)?)\s+(.+)$/.exec(line)
+      if (match) columns = [match[1], match[2]]
+    }
+
+    let startText = columns[0]
+    let endText = null
+    let labelColumns = columns.slice(1)
+
+    const range = RANGE_PATTERN.exec(columns[0])
+    if (range) {
+      [, startText, endText] = range
+    } else if (isEndColumn(columns[1], parseTimecode(columns[0]))) {
+      endText = columns[1]
+      labelColumns = columns.slice(2)
+    }
+
+    const start = parseTimecode(startText)
+    const end = endText === null ? null : parseTimecode(endText)
+    if (start === null || (endText !== null && end === null)) {
+      errors.push(`Line ${index + 1}: "${line}" is not a valid timestamp or range (use hh:mm:ss.ms).`)
+      return
+    }
+    if (end !== null && end <= start) {
+      errors.push(`Line ${index + 1}: the range must end after it starts.`)
+      return
+    }
+
+    entries.push({ start, end, label: labelColumns.filter(Boolean).join(', ') })
+  })
+
+  const hasRanges = entries.some((entry) => entry.end !== null)
+  const hasPoints = entries.some((entry) => entry.end === null)
+  if (hasRanges && hasPoints) {
+    errors.push('Use either cut points or start/end ranges, not both in the same list.')
+  }
+
+  return {
+    type: entries.length === 0 ? null : hasRanges ? 'ranges' : 'points',
+    entries,
+    errors,
+  }
+}
+
+// Bitrates vary through a file and containers add overhead, so aim below the cap
+const SIZE_SAFETY_MARGIN = 0.9
+
+/**
+ * Estimates the average number of bytes per second of media in a file
+ * @param {number} fileSize - File size in bytes
+ * @param {{duration: number|null, bitrate: number|null}|null} info - Probed media info (bitrate in kb/s)
+ * @returns {number|null} - Bytes per second, or null if it can't be estimated
+ */
+export function estimateBytesPerSecond(fileSize, info) {
+  const fromBitrate = info?.bitrate ? info.bitrate * 1000 / 8 : 0
+  const fromSize = info?.duration ? fileSize / info.duration : 0
+  // Take the higher estimate so size-based cuts err on the small side
+  return Math.max(fromBitrate, fromSize) || null
+}
+
+/**
+ * Works out where to cut for the chosen split strategy
+ * @param {Object} options
+ * @param {'duration'|'count'|'size'|'cuts'|'silence'|'scenes'|'chapters'} options.strategy - Split strategy, see SPLIT_STRATEGIES
+ * @param {number|null} options.duration - Input duration in seconds
+ * @param {number} options.segmentLength - Segment length in seconds (duration strategy)
+ * @param {number} options.segmentCount - Number of equal parts (count strategy)
+ * @param {number} options.maxSizeMB - Maximum size of each segment in MB (size strategy)
+ * @param {number|null} options.bytesPerSecond - Average data rate, see estimateBytesPerSecond (size strategy)
+ * @param {ReturnType<typeof parseCutList>} options.cutList - Parsed cut list (cuts strategy)
+ * @param {number[]|null} options.cutPoints - Reviewed cut times in seconds, null until detection has run
+ *   (silence and scenes strategies)
+ * @param {Array<{start: number, end: number, title: string}>|null} options.chapters - Chapters to export, null
+ *   until they have been read (chapters strategy)
+ * @returns {{
+ *   segmentLength: number|null,
+ *   segmentTimes: number[]|null,
+ *   ranges: Array<{start: number, end: number}>|null,
+ *   labels: string[]|null,
+ *   expectedSegments: number|null,
+ *   maxBytes: number|null
+ * }} - segmentTimes is set when cuts must be placed at explicit times rather than every segmentLength
+ *   seconds; ranges is set when each output is extracted separately; labels holds one label per output
+ * @throws {Error} - If the options are invalid or the strategy needs information that's missing
+ */
+export function planSegments({
+  strategy,
+  duration,
+  segmentLength,
+  segmentCount,
+  maxSizeMB,
+  bytesPerSecond,
+  cutList,
+  cutPoints,
+  chapters,
+}) {
+  if (strategy === 'cuts') {
+    return planCutList(cutList, duration)
+  }
+
+  if (strategy === 'silence' || strategy === 'scenes') {
+    return planDetectedCuts(cutPoints, duration)
+  }
+
+  if (strategy === 'chapters') {
+    if (!chapters) {
+      throw new Error('Read the chapters from the file first.')
+    }
+    if (chapters.length === 0) {
+      throw new Error('Select at least one chapter to export.')
+    }
+    return {
+      segmentLength: null,
+      segmentTimes: null,
+      ranges: chapters.map(({ start, end }) => ({ start, end })),
+      labels: chapters.map((chapter) => chapter.title),
+      expectedSegments: chapters.length,
+      maxBytes: null,
+    }
+  }
+
+  if (strategy === 'count') {
+    if (!Number.isInteger(segmentCount) || segmentCount < 1) {
+      throw new Error('Number of segments must be a whole number greater than 0.')
+    }
+    if (!duration) {
+      throw new Error('The duration of this file is unknown, so it cannot be split into equal parts.')
+    }
+    const length = duration / segmentCount
+    return {
+      segmentLength: length,
+      // A single part needs no cuts; segment_time equal to the duration never triggers one
+      segmentTimes: segmentCount > 1
+        ? Array.from({ length: segmentCount - 1 }, (_, i) => length * (i + 1))
+        : null,
+      ranges: null,
+      labels: null,
+      expectedSegments: segmentCount,
+      maxBytes: null,
+    }
+  }
+
+  if (strategy === 'size') {
+    if (!(maxSizeMB > 0)) {
+      throw new Error('Maximum segment size must be greater than 0.')
+    }
+    if (!duration || !bytesPerSecond) {
+      throw new Error('The duration or bitrate of this file is unknown, so it cannot be split by size.')
+    }
+    const maxBytes = maxSizeMB * 1024 * 1024
+    const length = maxBytes * SIZE_SAFETY_MARGIN / bytesPerSecond
+    if (length < 1) {
+      throw new Error(`Segments under ${maxSizeMB} MB would be shorter than a second at this file's bitrate.`)
+    }
+    return {
+      segmentLength: length,
+      segmentTimes: null,
+      ranges: null,
+      labels: null,
+      expectedSegments: Math.ceil(duration / length),
+      maxBytes,
+    }
+  }
+
+  if (!(segmentLength > 0)) {
+    throw new Error('Segment length must be greater than 0.')
+  }
+  return {
+    segmentLength,
+    segmentTimes: null,
+    ranges: null,
+    labels: null,
+    expectedSegments: duration ? Math.ceil(duration / segmentLength) : null,
+    maxBytes: null,
+  }
+}
+
+/**
+ * Turns a parsed cut list into a plan, see planSegments
+ * @param {ReturnType<typeof parseCutList>|undefined} cutList - Parsed cut list
+ * @param {number|null} duration - Input duration in seconds
+ * @returns {ReturnType<typeof planSegments>}
+ */
+function planCutList(cutList, duration) {
+  if (!cutList || cutList.entries.length === 0) {
+    throw new Error('Add at least one timestamp or range to the cut list.')
+  }
+  if (cutList.errors.length > 0) {
+    throw new Error(cutList.errors[0])
+  }
+
+  const beyondEnd = duration && cutList.entries.find((entry) => entry.start >= duration)
+  if (beyondEnd) {
+    throw new Error(`${beyondEnd.start}s is past the end of the file (${duration.toFixed(3)}s).`)
+  }
+
+  if (cutList.type === 'ranges') {
+    // Ranges are extracted independently, so they may overlap or leave gaps
+    return {
+      segmentLength: null,
+      segmentTimes: null,
+      ranges: cutList.entries.map(({ start, end }) => ({ start, end })),
+      labels: cutList.entries.map((entry) => entry.label),
+      expectedSegments: cutList.entries.length,
+      maxBytes: null,
+    }
+  }
+
+  // Each point starts a new segment; the label of a point names the segment it starts
+  const points = [...cutList.entries].sort((a, b) => a.start - b.start)
+  const cuts = points.filter((point) => point.start > 0)
+  const firstLabel = points.find((point) => point.start === 0)?.label ?? ''
+
+  if (cuts.length === 0) {
+    throw new Error('Add at least one cut point after the start of the file.')
+  }
+  const duplicate = cuts.find((point, i) => i > 0 && point.start === cuts[i - 1].start)
+  if (duplicate) {
+    throw new Error(`The cut point at ${duplicate.start}s is listed more than once.`)
+  }
+
+  return {
+    segmentLength: null,
+    segmentTimes: cuts.map((point) => point.start),
+    ranges: null,
+    labels: [firstLabel, ...cuts.map((point) => point.label)],
+    expectedSegments: cuts.length + 1,
+    maxBytes: null,
+  }
+}
+
+/**
+ * Turns cut points proposed by detection (and reviewed by the user) into a plan, see planSegments
+ * @param {number[]|null|undefined} cutPoints - Accepted cut times in seconds
+ * @param {number|null} duration - Input duration in seconds
+ * @returns {ReturnType<typeof planSegments>}
+ */
+function planDetectedCuts(cutPoints, duration) {
+  if (!cutPoints) {
+    throw new Error('Run detection and review the proposed cut points first.')
+  }
+
+  if (cutPoints.length === 0) {
+    // Nothing to cut - segment_time equal to the duration keeps the file in one piece
+    return {
+      segmentLength: duration || Number.MAX_SAFE_INTEGER,
+      segmentTimes: null,
+      ranges: null,
+      labels: null,
+      expectedSegments: 1,
+      maxBytes: null,
+    }
+  }
+
+  return {
+    segmentLength: null,
+    segmentTimes: [...cutPoints].sort((a, b) => a - b),
+    ranges: null,
+    labels: null,
+    expectedSegments: cutPoints.length + 1,
+    maxBytes: null,
+  }
+}
+
+/**
+ * Checks silence settings before detection, so a zero length can't stall proposeSilenceCuts
+ * @param {{minSilence: number, maxLength: number}} settings - Silence settings
+ * @returns {string|null} - Why the settings can't be used, or null if they can
+ */
+export function checkSilenceSettings({ minSilence, maxLength }) {
+  if (!(minSilence > 0)) return 'The minimum silence must be longer than 0 seconds.'
+  if (!(maxLength > 0)) return 'The maximum segment length must be longer than 0 seconds.'
+  return null
+}
+
+/**
+ * Proposes cut points that keep every segment within a maximum length, placing each cut in the
+ * silence closest to (but not past) the point where the segment would hit that length
+ * @param {Array<{start: number, end: number}>} silences - Detected silences in seconds, see parseSilenceLog
+ * @param {number} duration - Input duration in seconds
+ * @param {number} maxLength - Maximum segment length in seconds
+ * @returns {Array<{time: number, silence: {start: number, end: number}|null}>} - Proposed cuts; silence is
+ *   null where no silence was found and the cut is forced at the maximum length
+ * @throws {Error} - If maxLength isn't positive
+ */
+export function proposeSilenceCuts(silences, duration, maxLength) {
+  // Cuts would never move forward otherwise
+  if (!(maxLength > 0)) {
+    throw new Error('The maximum segment length must be longer than 0 seconds.')
+  }
+
+  const sorted = [...silences].sort((a, b) => a.start - b.start)
+  const cuts = []
+  let segmentStart = 0
+
+  while (duration - segmentStart > maxLength) {
+    const limit = segmentStart + maxLength
+    let best = null
+    for (const silence of sorted) {
+      if (silence.start <= segmentStart || silence.start > limit) continue
+      // Cut in the middle of the silence, or at the limit if the silence runs past it
+      const time = Math.min((silence.start + silence.end) / 2, limit)
+      if (!best || time > best.time) best = { time, silence }
+    }
+
+    const cut = best || { time: limit, silence: null }
+    cuts.push(cut)
+    segmentStart = cut.time
+  }
+
+  return cuts
+}
+
+/**
+ * Checks scene settings before detection, so a zero length can't stall proposeSceneCuts
+ * @param {{minLength: number, maxLength: number}} settings - Scene settings
+ * @returns {string|null} - Why the settings can't be used, or null if they can
+ */
+export function checkSceneSettings({ minLength, maxLength }) {
+  if (!(maxLength > 0)) return 'The maximum segment length must be longer than 0 seconds.'
+  if (!(minLength >= 0)) return 'The minimum segment length can\'t be negative.'
+  if (minLength >= maxLength) return 'The minimum segment length must be shorter than the maximum.'
+  return null
+}
+
+/**
+ * Proposes cuts at detected scene changes, within minimum and maximum segment lengths.
+ * Scenes starting less than minLength after the previous cut are merged into the segment before them,
+ * a scene within minLength of the end is dropped, and segments that would exceed maxLength are cut
+ * at maxLength.
+ * @param {Array<{time: number, score: number|null}>} scenes - Detected scene changes, see parseSceneLog
+ * @param {number} duration - Input duration in seconds
+ * @param {{minLength: number, maxLength: number}} limits - Segment length limits in seconds
+ * @returns {{
+ *   cuts: Array<{time: number, score: number|null, forced: boolean}>,
+ *   skipped: Array<{time: number, score: number|null, reason: 'merged'|'dropped'}>
+ * }} - Proposed cuts, and detected scenes that were not used
+ * @throws {Error} - If the limits are invalid, see checkSceneSettings
+ */
+export function proposeSceneCuts(scenes, duration, { minLength, maxLength }) {
+  // Forced cuts would never move forward otherwise
+  const settingsError = checkSceneSettings({ minLength, maxLength })
+  if (settingsError) throw new Error(settingsError)
+
+  const sorted = [...scenes].sort((a, b) => a.time - b.time)
+  const cuts = []
+  const skipped = []
+  let segmentStart = 0
+
+  const forceCutsUntil = (time) => {
+    while (time - segmentStart > maxLength) {
+      segmentStart += maxLength
+      cuts.push({ time: segmentStart, score: null, forced: true })
+    }
+  }
+
+  for (const scene of sorted) {
+    if (scene.time <= 0 || scene.time >= duration) continue
+    forceCutsUntil(scene.time)
+
+    if (scene.time - segmentStart < minLength) {
+      skipped.push({ ...scene, reason: 'merged' })
+    } else if (duration - scene.time < minLength) {
+      skipped.push({ ...scene, reason: 'dropped' })
+    } else {
+      cuts.push({ ...scene, forced: false })
+      segmentStart = scene.time
+    }
+  }
+  forceCutsUntil(duration)
+
+  return { cuts, skipped }
+}
+
+/**
+ * Lists the cut points of a plan, see planSegments
+ * @param {ReturnType<typeof planSegments>} plan - Cut plan
+ * @param {number} duration - Input duration in seconds
+ * @returns {number[]|null} - Cut times in seconds, or null for plans made of independent ranges
+ */
+export function planCutPoints(plan, duration) {
+  if (plan.ranges) return null
+  if (plan.segmentTimes) return plan.segmentTimes
+
+  const cuts = []
+  for (let i = 1; i * plan.segmentLength < duration; i++) {
+    cuts.push(i * plan.segmentLength)
+  }
+  return cuts
+}
+
+/**
+ * Lists the segments a plan will produce, see planSegments
+ * @param {ReturnType<typeof planSegments>} plan - Cut plan
+ * @param {number} duration - Input duration in seconds
+ * @returns {Array<{start: number, end: number}>} - Segments in output order
+ */
+export function planToSegments(plan, duration) {
+  if (plan.ranges) {
+    return plan.ranges.map(({ start, end }) => ({ start, end: Math.min(end, duration) }))
+  }
+
+  const bounds = [0, ...planCutPoints(plan, duration), duration]
+  return bounds.slice(0, -1).map((start, i) => ({ start, end: bounds[i + 1] }))
+}
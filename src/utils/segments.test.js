@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest'
+import { parseCutList, proposeSilenceCuts, checkSilenceSettings, proposeSceneCuts, checkSceneSettings } from './segments'
+
+describe('parseCutList', () => {
+  it('reads cut points with labels', () => {
+    expect(parseCutList('00:01:30.500 Intro\n# comment\n\n00:03:00')).toEqual({
+      type: 'points',
+      entries: [{ start: 90.5, end: null, label: 'Intro' }, { start: 180, end: null, label: '' }],
+      errors: [],
+    })
+  })
+
+  it('reads ranges written with a dash or in two columns', () => {
+    const { type, entries } = parseCutList('00:01:00 - 00:02:00, Interview\n00:03:00\t00:04:30\tOutro')
+    expect(type).toBe('ranges')
+    expect(entries).toEqual([
+      { start: 60, end: 120, label: 'Interview' },
+      { start: 180, end: 270, label: 'Outro' },
+    ])
+  })
+
+  it('keeps a numeric second column as the label', () => {
+    expect(parseCutList('00:05:00, 60\n00:10:00, 00:01:00').entries).toEqual([
+      { start: 300, end: null, label: '60' },
+      { start: 600, end: null, label: '00:01:00' },
+    ])
+  })
+
+  it('reports invalid lines and mixed lists', () => {
+    expect(parseCutList('soon').errors[0]).toMatch(/^Line 1: "soon" is not a valid timestamp/)
+    expect(parseCutList('00:02:00-00:01:00').errors).toEqual(['Line 1: the range must end after it starts.'])
+    expect(parseCutList('00:01:00\n00:02:00-00:03:00').errors).toEqual([
+      'Use either cut points or start/end ranges, not both in the same list.',
+    ])
+  })
+})
+
+describe('proposeSilenceCuts', () => {
+  it('cuts in the last silence before the maximum length', () => {
+    const silences = [{ start: 20, end: 22 }, { start: 50, end: 54 }, { start: 70, end: 72 }]
+    expect(proposeSilenceCuts(silences, 100, 60)).toEqual([
+      { time: 52, silence: { start: 50, end: 54 } },
+    ])
+  })
+
+  it('cuts at the limit when a silence runs past it', () => {
+    expect(proposeSilenceCuts([{ start: 58, end: 64 }], 100, 60)).toEqual([
+      { time: 60, silence: { start: 58, end: 64 } },
+    ])
+  })
+
+  it('forces a cut at the maximum length where there is no silence', () => {
+    expect(proposeSilenceCuts([], 130, 60)).toEqual([
+      { time: 60, silence: null },
+      { time: 120, silence: null },
+    ])
+  })
+
+  it('rejects a maximum length that isn\'t positive', () => {
+    expect(() => proposeSilenceCuts([], 100, 0)).toThrow(/longer than 0 seconds/)
+    expect(() => proposeSilenceCuts([], 100, -5)).toThrow(/longer than 0 seconds/)
+  })
+})
+
+describe('checkSilenceSettings', () => {
+  it('rejects zero, negative and missing lengths', () => {
+    expect(checkSilenceSettings({ minSilence: 0.5, maxLength: 300 })).toBeNull()
+    expect(checkSilenceSettings({ minSilence: 0, maxLength: 300 })).toMatch(/minimum silence/)
+    expect(checkSilenceSettings({ minSilence: 0.5, maxLength: 0 })).toMatch(/maximum segment length/)
+    expect(checkSilenceSettings({ minSilence: 0.5, maxLength: NaN })).toMatch(/maximum segment length/)
+  })
+})
+
+describe('proposeSceneCuts', () => {
+  const limits = { minLength: 5, maxLength: 60 }
+  const scene = (time) => ({ time, score: 0.5 })
+
+  it('cuts at scene changes', () => {
+    expect(proposeSceneCuts([scene(20), scene(40)], 100, limits)).toEqual({
+      cuts: [{ ...scene(20), forced: false }, { ...scene(40), forced: false }],
+      skipped: [],
+    })
+  })
+
+  it('merges a scene starting less than the minimum length after the previous cut', () => {
+    expect(proposeSceneCuts([scene(20), scene(23)], 70, limits)).toEqual({
+      cuts: [{ ...scene(20), forced: false }],
+      skipped: [{ ...scene(23), reason: 'merged' }],
+    })
+  })
+
+  it('drops a scene within the minimum length of the end', () => {
+    expect(proposeSceneCuts([scene(20), scene(67)], 70, limits)).toEqual({
+      cuts: [{ ...scene(20), forced: false }],
+      skipped: [{ ...scene(67), reason: 'dropped' }],
+    })
+  })
+
+  it('forces cuts where a segment would exceed the maximum length', () => {
+    expect(proposeSceneCuts([scene(130)], 200, limits).cuts).toEqual([
+      { time: 60, score: null, forced: true },
+      { time: 120, score: null, forced: true },
+      { ...scene(130), forced: false },
+      { time: 190, score: null, forced: true },
+    ])
+  })
+
+  it('rejects limits that would never move forward', () => {
+    expect(() => proposeSceneCuts([scene(20)], 100, { minLength: 0, maxLength: 0 })).toThrow(/maximum/)
+    expect(() => proposeSceneCuts([scene(20)], 100, { minLength: -10, maxLength: -5 })).toThrow(/maximum/)
+  })
+})
+
+describe('checkSceneSettings', () => {
+  it('requires a positive maximum above a non-negative minimum', () => {
+    expect(checkSceneSettings({ minLength: 0, maxLength: 300 })).toBeNull()
+    expect(checkSceneSettings({ minLength: -1, maxLength: 300 })).toMatch(/can't be negative/)
+    expect(checkSceneSettings({ minLength: 10, maxLength: 10 })).toMatch(/shorter than the maximum/)
+  })
+})
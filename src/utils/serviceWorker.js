@@ -0,0 +1,77 @@
+// The service worker caches the FFmpeg core so it is only downloaded once. It can also add the COOP/COEP
+// headers that hosts like GitHub Pages can't send, so the multi-threaded core can be used there
+// (see public/sw.js). Isolation is opt-in: COOP cuts the link to a page that opened the slicer, so
+// files can no longer be handed over with postMessage (see embedding.js).
+const crossOriginIsolation = import.meta.env.VITE_CROSS_ORIGIN_ISOLATION === 'true'
+
+// Set before reloading for isolation, so a browser that still isn't isolated afterwards isn't reloaded forever
+const ISOLATION_RELOAD_KEY = 'media-slicer-isolation-reload'
+
+let settle
+const settled = new Promise((resolve) => {
+  settle = resolve
+})
+
+/**
+ * Resolves once it is certain the page won't reload for cross-origin isolation. Files sent by a host page
+ * before that would be lost with the reload.
+ * @returns {Promise<void>}
+ */
+export function whenIsolationSettled() {
+  return settled
+}
+
+/**
+ * Checks whether the page runs in a frame or was opened by another page, which may be about to send it files
+ * @returns {boolean}
+ */
+function isHosted() {
+  return window.parent !== window || Boolean(window.opener)
+}
+
+/**
+ * Reloads the page once the service worker controls it, so the next load gets the isolation headers
+ * @param {ServiceWorkerRegistration} registration - Registration of the worker
+ */
+function reloadForIsolation(registration) {
+  const reload = () => {
+    sessionStorage.setItem(ISOLATION_RELOAD_KEY, 'true')
+    window.location.reload()
+  }
+  if (navigator.serviceWorker.controller) {
+    reload()
+  } else if (registration.active) {
+    // An active worker that doesn't control the page (after a hard reload) won't take it over
+    settle()
+  } else {
+    navigator.serviceWorker.addEventListener('controllerchange', reload, { once: true })
+  }
+}
+
+/**
+ * Registers the service worker in production builds; skipped in development so Vite's dev server isn't
+ * shadowed by stale caches. With isolation turned on, the page reloads once so it is served with the headers.
+ * Gives up after one attempt per session, and never reloads a hosted page; the single-threaded core is used then.
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) {
+    settle()
+    return
+  }
+
+  const reloading = crossOriginIsolation && !window.crossOriginIsolated &&
+    !sessionStorage.getItem(ISOLATION_RELOAD_KEY) && !isHosted()
+  if (!reloading) settle()
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js${crossOriginIsolation ? '?coi=true' : ''}`)
+      .then((registration) => {
+        if (reloading) reloadForIsolation(registration)
+      })
+      .catch((error) => {
+        console.warn('Service worker registration failed:', error)
+        settle()
+      })
+  })
+}
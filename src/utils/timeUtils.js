@@ -0,0 +1,49 @@
+/**
+ * Parses an FFmpeg-style timecode into seconds
+ * @param {string} value - Timecode such as "01:02:03.45", "02:03" or "12.5"
+ * @returns {number|null} - Seconds, or null if the value isn't a valid timecode
+ */
+export function parseTimecode(value) {
+  if (typeof value !== 'string') return null
+  const trimmed = value.trim()
+  if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(trimmed)) return null
+
+  return trimmed
+    .split(':')
+    .reduce((total, part) => total * 60 + parseFloat(part), 0)
+}
+
+/**
+ * Formats seconds as a clock time, e.g. 65 -> "1:05" and 3723 -> "1:02:03"
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Formatted duration
+ */
+export function formatDuration(seconds) {
+  if (!Number.isFinite(seconds) || seconds < 0) return '--:--'
+
+  const total = Math.round(seconds)
+  const hours = Math.floor(total / 3600)
+  const minutes = Math.floor((total % 3600) / 60)
+  const secs = String(total % 60).padStart(2, '0')
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`
+}
+
+/**
+ * Formats seconds as a precise timestamp, e.g. 83.4567 -> "00:01:23.457"
+ * @param {number} seconds - Time in seconds
+ * @returns {string} - Timestamp in hh:mm:ss.mmm form
+ */
+export function formatTimestamp(seconds) {
+  if (!Number.isFinite(seconds) || seconds < 0) return '--:--:--.---'
+
+  const totalMs = Math.round(seconds * 1000)
+  const hours = Math.floor(totalMs / 3600000)
+  const minutes = Math.floor((totalMs % 3600000) / 60000)
+  const secs = Math.floor((totalMs % 60000) / 1000)
+  const ms = totalMs % 1000
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`
+}
@@ -0,0 +1,26 @@
+/**
+ * Reduces raw PCM samples to one peak value per bucket for drawing a waveform
+ * @param {Int16Array} samples - Mono signed 16-bit samples
+ * @param {number} bucketCount - Number of peaks to produce
+ * @returns {number[]} - Peak amplitude of each bucket, from 0 to 1
+ */
+export function computePeaks(samples, bucketCount) {
+  const peaks = new Array(bucketCount).fill(0)
+  if (samples.length === 0) return peaks
+
+  const bucketSize = samples.length / bucketCount
+  for (let i = 0; i < bucketCount; i++) {
+    const start = Math.floor(i * bucketSize)
+    const end = Math.max(start + 1, Math.floor((i + 1) * bucketSize))
+    let peak = 0
+    for (let j = start; j < end && j < samples.length; j++) {
+      const value = Math.abs(samples[j])
+      if (value > peak) peak = value
+    }
+    peaks[i] = peak / 32768
+  }
+
+  // Normalize so quiet recordings are still visible
+  const max = Math.max(...peaks)
+  return max > 0 ? peaks.map((peak) => peak / max) : peaks
+}
@@ -0,0 +1,153 @@
+import { makeZip } from 'client-zip'
+
+/**
+ * How the results of a batch are downloaded
+ */
+export const BATCH_OUTPUTS = {
+  combined: { label: 'One ZIP (folder per file)' },
+  separate: { label: 'Separate ZIP per file' },
+}
+
+/**
+ * Starts a browser download of a blob
+ * @param {Blob} blob - Data to download
+ * @param {string} fileName - Suggested file name
+ */
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = fileName
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Checks whether archives can be written straight to a file the user picks
+ * @returns {boolean}
+ */
+export function canSaveToFile() {
+  return typeof window.showSaveFilePicker === 'function'
+}
+
+/**
+ * Opens the destination an archive is streamed into
+ * @param {string} fileName - Suggested file name
+ * @param {boolean} pickLocation - Ask where to save with the File System Access API, if available.
+ *   Must be called while handling a user gesture, as browsers only show the picker then.
+ * @returns {Promise<{writable: WritableStream, finish: () => void, savesToFile: boolean}>} - finish is
+ *   called once the writable has been closed
+ */
+async function openSink(fileName, pickLocation) {
+  if (pickLocation && canSaveToFile()) {
+    const handle = await window.showSaveFilePicker({
+      suggestedName: fileName,
+      types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }],
+    })
+    return { writable: await handle.createWritable(), finish: () => {}, savesToFile: true }
+  }
+
+  // Without a file to write to, the whole archive has to be collected before it can be downloaded, so
+  // peak memory is about the size of the archive. Wrapping each chunk in a Blob at least lets browsers
+  // that page Blobs to disk (Chromium) move it out of the JS heap; Firefox and Safari keep it in memory.
+  const parts = []
+  const writable = new WritableStream({
+    write(chunk) {
+      parts.push(new Blob([chunk]))
+    },
+  })
+  return {
+    writable,
+    finish: () => downloadBlob(new Blob(parts, { type: 'application/zip' }), fileName),
+    savesToFile: false,
+  }
+}
+
+/**
+ * Creates a queue that hands entries to the ZIP stream one at a time
+ * @returns {{entries: AsyncGenerator, push: (entry: Object) => Promise<void>, close: () => void, fail: (err: Error) => void}}
+ *   - push resolves once the stream has taken the entry
+ */
+function createEntryQueue() {
+  const pending = []
+  let wake = null
+  let closed = false
+  let failure = null
+
+  const notify = () => {
+    wake?.()
+    wake = null
+  }
+
+  async function* entries() {
+    for (;;) {
+      if (failure) throw failure
+      if (pending.length > 0) {
+        const { entry, taken } = pending.shift()
+        taken()
+        yield entry
+        continue
+      }
+      if (closed) return
+      await new Promise((resolve) => {
+        wake = resolve
+      })
+    }
+  }
+
+  return {
+    entries: entries(),
+    push: (entry) => new Promise((taken) => {
+      pending.push({ entry, taken })
+      notify()
+    }),
+    close: () => {
+      closed = true
+      notify()
+    },
+    fail: (err) => {
+      failure = err
+      notify()
+    },
+  }
+}
+
+/**
+ * Opens a ZIP archive that is written out while entries are still being added. When it is saved to a
+ * picked file only the entry currently being written has to be held in memory; the download fallback
+ * still collects the whole archive (see openSink).
+ * @param {string} fileName - Suggested file name
+ * @param {Object} options
+ * @param {boolean} options.pickLocation - Let the user pick where to save (see openSink)
+ * @returns {Promise<{add: (name: string, data: Uint8Array|string) => Promise<void>, close: () => Promise<void>,
+ *   abort: () => Promise<void>, savesToFile: boolean}>} - add resolves once the archive has taken the data,
+ *   after which the caller can free its own copy; close finishes the archive and starts the download if
+ *   it isn't saved to a picked file
+ */
+export async function openZipArchive(fileName, { pickLocation = true } = {}) {
+  const sink = await openSink(fileName, pickLocation)
+  const queue = createEntryQueue()
+  const written = makeZip(queue.entries).pipeTo(sink.writable)
+  // Failures are reported by add/close; this just keeps them from showing up as unhandled
+  written.catch(() => {})
+
+  return {
+    savesToFile: sink.savesToFile,
+    async add(name, data) {
+      // If writing fails the stream stops taking entries, so stop waiting for it
+      await Promise.race([queue.push({ name, input: data, lastModified: new Date() }), written])
+    },
+    async close() {
+      queue.close()
+      await written
+      sink.finish()
+    },
+    async abort() {
+      // Failing the entries errors the stream, which aborts the sink and discards what was written
+      queue.fail(new Error('Export aborted'))
+      await written.catch(() => {})
+    },
+  }
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { openZipArchive } from './zipExport'
+import { readZip } from '../test/readZip'
+
+/**
+ * Stands in for a file picked with showSaveFilePicker, counting the bytes written to it
+ * @returns {{picker: Function, chunks: Uint8Array[], written: () => number}}
+ */
+const pickedFile = () => {
+  const chunks = []
+  const picker = vi.fn(async () => ({
+    createWritable: async () => new WritableStream({
+      write(chunk) {
+        chunks.push(chunk)
+      },
+    }),
+  }))
+  return { picker, chunks, written: () => chunks.reduce((total, chunk) => total + chunk.byteLength, 0) }
+}
+
+describe('openZipArchive', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('writes each entry to a picked file before taking the next one', async () => {
+    const file = pickedFile()
+    vi.stubGlobal('window', { showSaveFilePicker: file.picker })
+    const segment = new Uint8Array(64 * 1024).fill(7)
+
+    const archive = await openZipArchive('clip_segments.zip')
+    expect(archive.savesToFile).toBe(true)
+    await archive.add('segment_01.mp4', segment)
+    // The archive only asks for the second entry once the first has been written out
+    await archive.add('segment_02.mp4', segment)
+    expect(file.written()).toBeGreaterThanOrEqual(segment.byteLength)
+    await archive.add('manifest.json', '{}')
+    expect(file.written()).toBeGreaterThanOrEqual(2 * segment.byteLength)
+    await archive.close()
+
+    const bytes = new Uint8Array(file.written())
+    file.chunks.reduce((offset, chunk) => {
+      bytes.set(chunk, offset)
+      return offset + chunk.byteLength
+    }, 0)
+    const entries = readZip(bytes)
+    expect([...entries.keys()]).toEqual(['segment_01.mp4', 'segment_02.mp4', 'manifest.json'])
+    expect(entries.get('segment_02.mp4')).toEqual(segment)
+  })
+
+  it('writes nothing more after being aborted', async () => {
+    const file = pickedFile()
+    vi.stubGlobal('window', { showSaveFilePicker: file.picker })
+
+    const archive = await openZipArchive('clip_segments.zip')
+    await archive.add('segment_01.mp4', new Uint8Array(16))
+    await archive.abort()
+    await expect(archive.add('segment_02.mp4', new Uint8Array(16))).rejects.toThrow('Export aborted')
+  })
+})
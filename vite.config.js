@@ -1,5 +1,15 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createRequire } from 'node:module'
+import path from 'node:path'
+
+// @ffmpeg/core-mt doesn't export its worker script, so the import of it is pointed at the file next to
+// the package's entry point, wherever the package manager installed it
+const MT_WORKER = /^@ffmpeg\/core-mt\/dist\/esm\/ffmpeg-core\.worker\.js(?=\?|$)/
+const mtWorkerPath = path.join(
+  path.dirname(createRequire(import.meta.url).resolve('@ffmpeg/core-mt')),
+  '../esm/ffmpeg-core.worker.js'
+)
 
 // For GitHub Pages: if your repo is named "media-slicer", use '/media-slicer/'
 // For custom domain or user.github.io repos, use '/'
@@ -14,11 +24,29 @@ const getBase = () => {
   return '/'
 }
 
+// Cross-origin isolation unlocks SharedArrayBuffer, which the multi-threaded FFmpeg core needs.
+// Static hosts like GitHub Pages can't send these headers, so public/sw.js adds them there.
+// Isolation is opt-in with VITE_CROSS_ORIGIN_ISOLATION=true, since COOP cuts the link to a page
+// that opened the app with window.open.
+const isolationHeaders = process.env.VITE_CROSS_ORIGIN_ISOLATION === 'true'
+  ? {
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Cross-Origin-Embedder-Policy': 'require-corp',
+    }
+  : {}
+
 export default defineConfig({
   plugins: [react()],
   base: getBase(),
+  resolve: {
+    alias: [{ find: MT_WORKER, replacement: mtWorkerPath }]
+  },
   server: {
-    port: 3000
+    port: 3000,
+    headers: isolationHeaders
+  },
+  preview: {
+    headers: isolationHeaders
   },
   optimizeDeps: {
     exclude: ['@ffmpeg/ffmpeg', '@ffmpeg/util']